@@ -29,6 +29,13 @@ exports.protect = async (req, res, next) => {
                 message: 'User not found'
             });
         }
+
+        if (req.user.isActive === false) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been deactivated'
+            });
+        }
         
         next();
     } catch (error) {
@@ -0,0 +1,165 @@
+/**
+ * Re-normalize every stored phone number to E.164 (see utils/phone.js).
+ *
+ *   node migrate-phones.js            apply
+ *   node migrate-phones.js --dry-run  only report what would change
+ *
+ * Works on the raw collections so nothing is skipped by model setters.
+ * Numbers that can't be normalized are left as they are and listed.
+ * Contacts that become duplicates of another contact are listed too and keep
+ * their old number, merge them by hand. Duplicate suppression / admin entries
+ * are removed since they mean the same number.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const phoneUtils = require('./utils/phone');
+const Contact = require('./models/Contact');
+const Order = require('./models/Order');
+const User = require('./models/User');
+const Suppression = require('./models/Suppression');
+const AdminUser = require('./models/AdminUser');
+const Conversation = require('./models/Conversation');
+const Campaign = require('./models/Campaign');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// [model, field, what to do with a duplicate key, fields the number is unique within (null when it isn't unique)]
+const FIELDS = [
+    [Contact, 'phone', 'report', ['userId']],
+    [Contact, 'alternatePhone', 'report', null],
+    [Order, 'customerPhone', 'report', null],
+    [User, 'phone', 'report', null],
+    [Suppression, 'phone', 'remove', ['userId']],
+    [AdminUser, 'whatsappNumber', 'remove', []],
+    [Conversation, 'phone', 'report', null]
+];
+
+const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// A dry run can't rely on the unique index, so it looks for the number itself:
+// stored on another document, or claimed by one already counted as updated
+async function wouldDuplicate(Model, field, scope, doc, normalized, claimed) {
+    if (!scope) return false;
+
+    const filter = { [field]: normalized };
+    scope.forEach(key => { filter[key] = get(doc, key); });
+    const key = JSON.stringify(filter);
+    if (claimed.has(key)) return true;
+
+    const existing = await Model.collection.findOne({ ...filter, _id: { $ne: doc._id } }, { projection: { _id: 1 } });
+    if (existing) return true;
+
+    claimed.add(key);
+    return false;
+}
+
+function duplicateEntry(doc, current, normalized, onDuplicate) {
+    if (onDuplicate !== 'remove') return `${doc._id} "${current}" (${normalized} exists)`;
+    return `${doc._id} "${current}" (${dryRun ? 'would be removed' : 'removed'}, ${normalized} exists)`;
+}
+
+async function migrateField(Model, field, onDuplicate, scope) {
+    const stats = { scanned: 0, updated: 0, invalid: [], duplicates: [] };
+    const projection = { [field]: 1 };
+    (scope || []).forEach(key => { projection[key] = 1; });
+    const cursor = Model.collection.find({ [field]: { $type: 'string', $ne: '' } }, { projection });
+    const claimed = new Set();
+
+    for await (const doc of cursor) {
+        stats.scanned++;
+        const current = get(doc, field);
+        const normalized = phoneUtils.normalize(current);
+
+        if (!normalized) {
+            stats.invalid.push(`${doc._id} "${current}"`);
+            continue;
+        }
+        if (normalized === current) continue;
+
+        if (dryRun) {
+            if (await wouldDuplicate(Model, field, scope, doc, normalized, claimed)) {
+                stats.duplicates.push(duplicateEntry(doc, current, normalized, onDuplicate));
+            } else {
+                stats.updated++;
+            }
+            continue;
+        }
+
+        try {
+            await Model.collection.updateOne({ _id: doc._id }, { $set: { [field]: normalized } });
+            stats.updated++;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            if (onDuplicate === 'remove') {
+                await Model.collection.deleteOne({ _id: doc._id });
+            }
+            stats.duplicates.push(duplicateEntry(doc, current, normalized, onDuplicate));
+        }
+    }
+
+    return stats;
+}
+
+// Recipients live inside campaigns, so each campaign is rewritten as a whole
+async function migrateCampaigns() {
+    const stats = { scanned: 0, updated: 0, invalid: [], duplicates: [] };
+    const cursor = Campaign.collection.find({}, { projection: { contacts: 1 } });
+
+    for await (const campaign of cursor) {
+        stats.scanned++;
+        const set = {};
+
+        (campaign.contacts || []).forEach((contact, index) => {
+            const normalized = phoneUtils.normalize(contact.phone);
+            if (!normalized) {
+                stats.invalid.push(`${campaign._id} contacts.${index} "${contact.phone}"`);
+            } else if (normalized !== contact.phone) {
+                set[`contacts.${index}.phone`] = normalized;
+            }
+        });
+
+        if (!Object.keys(set).length) continue;
+        if (!dryRun) {
+            await Campaign.collection.updateOne({ _id: campaign._id }, { $set: set });
+        }
+        stats.updated++;
+    }
+
+    return stats;
+}
+
+function report(name, stats) {
+    console.log(`\n📱 ${name}: ${stats.scanned} scanned, ${stats.updated} ${dryRun ? 'to update' : 'updated'}`);
+    if (stats.invalid.length) {
+        console.log(`   ⚠️  ${stats.invalid.length} invalid (left unchanged):`);
+        stats.invalid.forEach(entry => console.log(`      ${entry}`));
+    }
+    if (stats.duplicates.length) {
+        console.log(`   ⚠️  ${stats.duplicates.length} duplicates${dryRun ? ' (would not be updated)' : ''}:`);
+        stats.duplicates.forEach(entry => console.log(`      ${entry}`));
+    }
+}
+
+const migrate = async () => {
+    try {
+        console.log('🔌 Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log(`✅ MongoDB Connected!${dryRun ? ' (dry run)' : ''}`);
+
+        for (const [Model, field, onDuplicate, scope] of FIELDS) {
+            report(`${Model.modelName}.${field}`, await migrateField(Model, field, onDuplicate, scope));
+        }
+        report('Campaign.contacts.phone', await migrateCampaigns());
+
+        console.log('\n✅ Phone migration finished');
+        process.exit(0);
+
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+};
+
+migrate();
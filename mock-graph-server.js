@@ -0,0 +1,110 @@
+/**
+ * Mock WhatsApp Cloud API (Graph) Server
+ * Lets the cloud transport run fully offline:
+ *
+ *   node mock-graph-server.js
+ *   WHATSAPP_TRANSPORT=cloud WHATSAPP_CLOUD_BASE_URL=http://localhost:4010 npm start
+ *
+ * Any access token works except "invalid" (returns error 190). Recipients
+ * can trigger Graph errors on purpose:
+ *   ...0000  -> 131026 (message undeliverable)
+ *   ...0429  -> 130429 (rate limit hit)
+ *   ...0470  -> 131047 (24h re-engagement window)
+ * Template names starting with "missing_" return 132001.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const app = express();
+app.use(express.json());
+
+const PORT = process.env.MOCK_GRAPH_PORT || 4010;
+const messages = [];
+
+// Graph style error body
+const graphError = (res, status, code, message, details) => {
+    res.status(status).json({
+        error: {
+            message,
+            type: 'OAuthException',
+            code,
+            error_data: details ? { messaging_product: 'whatsapp', details } : undefined,
+            fbtrace_id: crypto.randomBytes(8).toString('hex')
+        }
+    });
+};
+
+// Bearer token check
+app.use((req, res, next) => {
+    if (req.path.startsWith('/mock')) return next();
+
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!token || token === 'invalid') {
+        return graphError(res, 401, 190, 'Error validating access token: Session has expired');
+    }
+    next();
+});
+
+// Phone number details
+app.get('/:version/:phoneNumberId', (req, res) => {
+    res.json({
+        id: req.params.phoneNumberId,
+        display_phone_number: '+91 90000 00000',
+        verified_name: 'WA Cloud Sender Seva (Mock)',
+        quality_rating: 'GREEN'
+    });
+});
+
+// Send message
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+    const { messaging_product: product, to, type } = req.body;
+
+    if (product !== 'whatsapp' || !to || !type) {
+        return graphError(res, 400, 100, 'Invalid parameter', 'messaging_product, to and type are required');
+    }
+
+    if (!req.body[type]) {
+        return graphError(res, 400, 100, 'Invalid parameter', `Missing "${type}" object`);
+    }
+
+    if (to.endsWith('0000')) {
+        return graphError(res, 400, 131026, 'Message Undeliverable', 'Recipient is not a WhatsApp user');
+    }
+
+    if (to.endsWith('0429')) {
+        return graphError(res, 429, 130429, 'Rate limit hit', 'Cloud API message throughput has been reached');
+    }
+
+    if (to.endsWith('0470')) {
+        return graphError(res, 400, 131047, 'Re-engagement message', 'More than 24 hours have passed since the recipient last replied');
+    }
+
+    if (type === 'template' && req.body.template.name?.startsWith('missing_')) {
+        return graphError(res, 404, 132001, 'Template name does not exist in the translation', `template name (${req.body.template.name}) does not exist`);
+    }
+
+    const id = `wamid.${crypto.randomBytes(16).toString('hex')}`;
+    messages.push({ id, phoneNumberId: req.params.phoneNumberId, ...req.body, receivedAt: new Date() });
+    console.log(`📨 [mock] ${type} -> ${to} (${id})`);
+
+    res.json({
+        messaging_product: 'whatsapp',
+        contacts: [{ input: to, wa_id: to }],
+        messages: [{ id }]
+    });
+});
+
+// Inspect and reset recorded messages
+app.get('/mock/messages', (req, res) => {
+    res.json({ count: messages.length, data: messages });
+});
+
+app.delete('/mock/messages', (req, res) => {
+    messages.length = 0;
+    res.json({ success: true });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock Graph API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const channelSchema = {
+    status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+    error: String,
+    sentAt: Date
+};
+
+// Alerts sent to the admin. The unique key makes each alert go out at most once
+const adminNotificationSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },   // e.g. first_link:<userId>
+    type: { type: String, enum: ['first_link', 'banned'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // Content
+    subject: String,
+    message: { type: String, required: true },
+    
+    // Delivery
+    channels: {
+        whatsapp: channelSchema,
+        email: channelSchema
+    },
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+adminNotificationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AdminNotification', adminNotificationSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
+
+// Secondary admins allowed to run WhatsApp bot commands (ADMIN_NUMBER is always allowed)
+const adminUserSchema = new mongoose.Schema({
+    whatsappNumber: { type: String, required: true, unique: true, set: phoneUtils.setter, validate: phoneUtils.validator },   // E.164
+    name: String,
+    permissions: { type: [String], default: ['*'] },   // command names, '*' for all
+    grantedBy: String,
+    isActive: { type: Boolean, default: true },
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
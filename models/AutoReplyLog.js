@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const autoReplyLogSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'AutoReplyRule', required: true },
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // Hit
+    phone: String,
+    incomingText: String,
+    keyword: String,
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'cooldown', 'outside_hours'],
+        required: true
+    },
+    messageId: String,
+    error: String,
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+autoReplyLogSchema.index({ userId: 1, createdAt: -1 });
+autoReplyLogSchema.index({ ruleId: 1, contactId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AutoReplyLog', autoReplyLogSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const safeRegex = require('../utils/safeRegex');
+
+const autoReplyRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },   // empty = every session
+    
+    name: { type: String, required: true, trim: true },
+    
+    // Matching
+    matchType: { 
+        type: String, 
+        enum: ['exact', 'contains', 'regex'], 
+        default: 'contains' 
+    },
+    keywords: {
+        type: [String],
+        validate: [
+            { validator: keywords => keywords.length > 0, message: 'At least one keyword is required' },
+            {
+                // Patterns run on every inbound message, refuse ones that can backtrack for ever
+                validator: function(keywords) {
+                    if (this.matchType !== 'regex') return true;
+                    const problem = keywords.map(safeRegex.check).find(Boolean);
+                    if (problem) throw new Error(problem);
+                    return true;
+                }
+            }
+        ]
+    },
+    caseSensitive: { type: Boolean, default: false },
+    
+    // Reply
+    reply: {
+        text: String,
+        mediaUrl: String,
+        mediaType: { type: String, enum: ['image', 'video', 'document', 'audio'] }
+    },
+    
+    // Limits
+    cooldownMinutes: { type: Number, default: 60, min: 0 },   // per contact
+    activeHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '09:00' },   // HH:mm, may wrap past midnight
+        end: { type: String, default: '21:00' },
+        timezone: { type: String, default: 'Asia/Kolkata' }
+    },
+    priority: { type: Number, default: 0 },   // higher runs first, first match wins
+    isActive: { type: Boolean, default: true },
+    
+    // Usage Stats
+    hitCount: { type: Number, default: 0 },
+    lastTriggeredAt: Date,
+    
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+autoReplyRuleSchema.index({ userId: 1, isActive: 1, priority: -1 });
+
+// A rule must reply with something
+autoReplyRuleSchema.pre('validate', function(next) {
+    if (!this.reply?.text && !this.reply?.mediaUrl) {
+        this.invalidate('reply', 'Reply text or media URL is required');
+    }
+    next();
+});
+
+// Update timestamp
+autoReplyRuleSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('AutoReplyRule', autoReplyRuleSchema);
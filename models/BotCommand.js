@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const botCommandSchema = new mongoose.Schema({
+    fromNumber: { type: String, required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // Command
+    command: { type: String, required: true },
+    parameters: [String],
+    response: String,
+    status: {
+        type: String,
+        enum: ['executed', 'failed', 'unauthorized', 'unknown'],
+        default: 'executed'
+    },
+    error: String,
+    
+    executedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+botCommandSchema.index({ executedAt: -1 });
+botCommandSchema.index({ fromNumber: 1, executedAt: -1 });
+
+module.exports = mongoose.model('BotCommand', botCommandSchema);
@@ -1,53 +1,280 @@
 const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
+const sendingWindow = require('../utils/sendingWindow');
+
+// Who paused / resumed / cancelled: a user through the API or an admin through the WhatsApp bot
+const actorSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    phone: String,
+    via: { type: String, enum: ['api', 'whatsapp'] }
+}, { _id: false });
 
 const campaignSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true
-    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    description: String,
+    
+    // Message Content
     message: {
-        type: String,
-        required: true
+        text: String,   // optional only when a location, contact card or sticker is sent
+        mediaUrl: String,
+        mediaType: { type: String, enum: ['image', 'video', 'document', 'audio'] },
+        caption: String,
+        buttons: [{ text: String, url: String }],
+        interactive: mongoose.Schema.Types.Mixed,   // buttons / list / cta / poll, see services/transports/interactive.js
+        location: {
+            latitude: Number,
+            longitude: Number,
+            name: String,
+            address: String,
+            url: String
+        },
+        // Snapshot of the shared contact, see services/transports/vcard.js
+        contactCard: {
+            contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+            name: String,
+            phones: { type: [String], default: undefined },
+            email: String,
+            organization: String,
+            title: String
+        },
+        stickerUrl: String
+    },
+    
+    // Template (if using)
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+    
+    // Target Contacts
+    contacts: [{
+        phone: { type: String, required: true, set: phoneUtils.setter },
+        name: String,
+        variables: mongoose.Schema.Types.Mixed,
+        // queued: claimed by the campaign engine, sending: send in progress
+        status: { 
+            type: String, 
+            enum: ['pending', 'queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'skipped'], 
+            default: 'pending' 
+        },
+        messageId: String,
+        claimedAt: Date,
+        attemptedAt: Date,
+        sentAt: Date,
+        deliveredAt: Date,
+        readAt: Date,
+        error: String,
+        splitDay: Number,        // day slice the recipient belongs to (see scheduleSplits)
+        // Answer to an interactive message
+        response: {
+            optionId: String,
+            title: String,
+            selections: [String],
+            type: { type: String },
+            raw: String,
+            respondedAt: Date
+        }
+    }],
+    
+    // Target Groups (posted into, tracked apart from individual contacts)
+    groups: [{
+        groupJid: { type: String, required: true },
+        name: String,
+        status: { 
+            type: String, 
+            enum: ['pending', 'sending', 'sent', 'failed'], 
+            default: 'pending' 
+        },
+        messageId: String,
+        sentAt: Date,
+        error: String
+    }],
+    groupSettings: {
+        delayBetweenPosts: { type: Number, default: 60000 },
+        mentionAll: { type: Boolean, default: false }
+    },
+    
+    // Filters (Pincode-based targeting)
+    filters: {
+        pincodes: [String],
+        cities: [String],
+        states: [String],
+        tags: [String]
+    },
+    
+    // Scheduling
+    scheduleType: { 
+        type: String, 
+        enum: ['immediate', 'scheduled', 'recurring'], 
+        default: 'immediate' 
     },
-    targetGroup: {
-        type: String
+    scheduledAt: Date,
+    recurring: {
+        frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+        interval: Number,
+        endDate: Date
     },
-    targetCity: {
-        type: String
+    
+    // Overrides the user's sending window (see utils/sendingWindow.js)
+    sendingWindow: {
+        days: { type: [Number], default: undefined },
+        start: String,
+        end: String,
+        timezone: String
     },
-    totalMessages: {
-        type: Number,
-        default: 0
+    
+    // Send the audience over several days: a percentage of it or a fixed count per day
+    dailySplit: {
+        mode: { type: String, enum: ['percentage', 'count'] },
+        percentage: { type: Number, min: [10, 'Daily percentage must be at least 10'], max: [100, 'Daily percentage can be at most 100'] },
+        count: { type: Number, min: [1, 'Daily count must be at least 1'] }
     },
-    sentMessages: {
-        type: Number,
-        default: 0
+    
+    // One slice per day, created when the campaign starts
+    scheduleSplits: [{
+        day: { type: Number, required: true },
+        date: String,            // YYYY-MM-DD in the sending window timezone
+        startAt: Date,           // the slice is not sent before this
+        contactCount: { type: Number, default: 0 },
+        sentCount: { type: Number, default: 0 },
+        failedCount: { type: Number, default: 0 },
+        skippedCount: { type: Number, default: 0 },
+        status: { 
+            type: String, 
+            enum: ['pending', 'running', 'completed', 'cancelled'], 
+            default: 'pending' 
+        },
+        startedAt: Date,
+        completedAt: Date
+    }],
+    
+    // Campaign Status
+    status: { 
+        type: String, 
+        enum: ['draft', 'pending', 'running', 'paused', 'completed', 'failed', 'cancelled'], 
+        default: 'draft' 
     },
-    failedMessages: {
-        type: Number,
-        default: 0
+    
+    // Statistics
+    stats: {
+        totalContacts: { type: Number, default: 0 },
+        sentCount: { type: Number, default: 0 },
+        deliveredCount: { type: Number, default: 0 },
+        readCount: { type: Number, default: 0 },
+        failedCount: { type: Number, default: 0 },
+        skippedCount: { type: Number, default: 0 },
+        respondedCount: { type: Number, default: 0 },
+        successRate: { type: Number, default: 0 }
     },
-    status: {
-        type: String,
-        enum: ['pending', 'running', 'completed', 'paused', 'cancelled'],
-        default: 'pending'
+    
+    groupStats: {
+        totalGroups: { type: Number, default: 0 },
+        sentCount: { type: Number, default: 0 },
+        failedCount: { type: Number, default: 0 }
     },
-    scheduledAt: {
-        type: Date
+    
+    // Anti-ban Settings, enforced by the campaign engine (times in ms)
+    antiBan: {
+        minDelay: { type: Number, default: 3000, min: [1000, 'Minimum delay must be at least 1 second'], max: [60000, 'Minimum delay can be at most 60 seconds'] },
+        maxDelay: { type: Number, default: 10000, min: [2000, 'Maximum delay must be at least 2 seconds'], max: [120000, 'Maximum delay can be at most 120 seconds'] },
+        batchSize: { type: Number, default: 20, min: [1, 'Batch size must be at least 1'], max: [100, 'Batch size can be at most 100'] },
+        cooldownPeriod: { type: Number, default: 60000, min: [30000, 'Cooldown must be at least 30 seconds'], max: [1800000, 'Cooldown can be at most 30 minutes'] },
+        maxMessagesPerHour: { type: Number, default: 100, min: [1, 'Hourly limit must be at least 1'], max: [500, 'Hourly limit can be at most 500'] },
+        shuffleRecipients: { type: Boolean, default: false }
     },
-    startedAt: {
-        type: Date
+    
+    // Sending
+    sandbox: { type: Boolean, default: false },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    skipUnverified: { type: Boolean, default: false },   // only send to numbers confirmed by the number check
+    
+    // Campaign engine state (see services/campaignEngine.js)
+    execution: {
+        workerId: String,        // process holding the lease
+        leaseUntil: Date,        // another process may take over after this
+        heartbeatAt: Date,
+        checkpointAt: Date,      // last recipient attempt
+        attemptedCount: { type: Number, default: 0 },
+        batchSent: { type: Number, default: 0 },   // attempts since the last anti-ban cooldown
+        cooldownUntil: Date,
+        resumeCount: { type: Number, default: 0 },
+        lastError: String
     },
-    completedAt: {
-        type: Date
+    
+    // Priority
+    priority: { 
+        type: String, 
+        enum: ['low', 'medium', 'high', 'urgent'], 
+        default: 'medium' 
     },
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
+    
+    // Timestamps
+    startedAt: Date,
+    completedAt: Date,
+    pausedAt: Date,
+    pausedBy: actorSchema,
+    resumedAt: Date,
+    resumedBy: actorSchema,
+    cancelledAt: Date,
+    cancelledBy: actorSchema,
+    
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+campaignSchema.index({ userId: 1, status: 1 });
+campaignSchema.index({ scheduledAt: 1 });
+campaignSchema.index({ 'filters.pincodes': 1 });
+campaignSchema.index({ createdAt: -1 });
+campaignSchema.index({ 'contacts.messageId': 1 }, { sparse: true });
+campaignSchema.index({ status: 1, 'execution.leaseUntil': 1 });
+
+campaignSchema.pre('validate', function(next) {
+    if (this.antiBan && this.antiBan.minDelay > this.antiBan.maxDelay) {
+        this.invalidate('antiBan.maxDelay', 'Maximum delay must not be less than the minimum delay');
+    }
+
+    const window = this.sendingWindow;
+    const windowError = window && sendingWindow.check({ days: window.days, start: window.start, end: window.end, timezone: window.timezone });
+    if (windowError) {
+        this.invalidate('sendingWindow', windowError);
     }
-}, {
-    timestamps: true
+
+    const split = this.dailySplit || {};
+    if (split.mode === 'percentage' && split.percentage == null) {
+        this.invalidate('dailySplit.percentage', 'Daily percentage is required');
+    }
+    if (split.mode === 'count' && split.count == null) {
+        this.invalidate('dailySplit.count', 'Daily count is required');
+    }
+    next();
+});
+
+// Text is optional only for location / contact card / sticker messages
+campaignSchema.pre('validate', function(next) {
+    const message = this.message || {};
+    if (!message.text && message.location?.latitude == null && !message.contactCard?.name && !message.stickerUrl) {
+        this.invalidate('message.text', 'Message text is required');
+    }
+    next();
+});
+
+// Update stats before saving
+campaignSchema.pre('save', function(next) {
+    this.stats.totalContacts = this.contacts.length;
+    this.stats.sentCount = this.contacts.filter(c => c.status === 'sent' || c.status === 'delivered' || c.status === 'read').length;
+    this.stats.deliveredCount = this.contacts.filter(c => c.status === 'delivered' || c.status === 'read').length;
+    this.stats.readCount = this.contacts.filter(c => c.status === 'read').length;
+    this.stats.failedCount = this.contacts.filter(c => c.status === 'failed').length;
+    this.stats.skippedCount = this.contacts.filter(c => c.status === 'skipped').length;
+    this.stats.respondedCount = this.contacts.filter(c => c.response?.respondedAt).length;
+    this.stats.successRate = this.stats.totalContacts > 0 
+        ? ((this.stats.sentCount / this.stats.totalContacts) * 100).toFixed(2) 
+        : 0;
+    this.groupStats.totalGroups = this.groups.length;
+    this.groupStats.sentCount = this.groups.filter(g => g.status === 'sent').length;
+    this.groupStats.failedCount = this.groups.filter(g => g.status === 'failed').length;
+    this.updatedAt = Date.now();
+    next();
 });
 
 module.exports = mongoose.model('Campaign', campaignSchema);
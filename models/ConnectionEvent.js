@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Connection history of a WhatsApp session (the feed shown to users and admins)
+const connectionEventSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession', required: true },
+    
+    // Event
+    type: {
+        type: String,
+        enum: ['linked', 'reconnected', 'logged_out', 'banned'],
+        required: true
+    },
+    phoneNumber: String,
+    reason: String,
+    previousState: String,
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+connectionEventSchema.index({ userId: 1, createdAt: -1 });
+connectionEventSchema.index({ sessionId: 1, createdAt: -1 });
+connectionEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConnectionEvent', connectionEventSchema);
@@ -1,18 +1,20 @@
 const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
 
 const contactSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     
     // Basic Info
     name: { type: String, required: true, trim: true },
-    phone: { type: String, required: true },
+    phone: { type: String, required: true, set: phoneUtils.setter, validate: phoneUtils.validator },   // E.164
     email: String,
-    alternatePhone: String,
+    alternatePhone: { type: String, set: phoneUtils.setter },
     
     // WhatsApp Details
     whatsapp: {
         number: String,
         isWhatsApp: { type: Boolean, default: true },
+        verifiedAt: Date,   // set by the number check job, unset means isWhatsApp is only assumed
         lastMessageAt: Date,
         totalMessagesSent: { type: Number, default: 0 }
     },
@@ -41,7 +43,8 @@ const contactSchema = new mongoose.Schema({
         totalCampaigns: { type: Number, default: 0 },
         totalOrders: { type: Number, default: 0 },
         isActive: { type: Boolean, default: true },
-        optedOut: { type: Boolean, default: false }
+        optedOut: { type: Boolean, default: false },
+        optedOutAt: Date
     },
     
     // Notes
@@ -59,10 +62,12 @@ const contactSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Indexes
+// phone is stored in E.164, so "098765 43210" and "+91 98765-43210" are the same contact
 contactSchema.index({ userId: 1, phone: 1 }, { unique: true });
 contactSchema.index({ 'location.pincode': 1 });
 contactSchema.index({ tags: 1 });
 contactSchema.index({ 'engagement.isActive': 1 });
+contactSchema.index({ userId: 1, 'whatsapp.verifiedAt': 1 });
 
 // Update timestamp
 contactSchema.pre('save', function(next) {
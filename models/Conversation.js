@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
+
+const conversationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    phone: { type: String, required: true, set: phoneUtils.setter },
+    
+    // Latest message preview
+    lastMessage: {
+        body: String,
+        type: String,
+        direction: { type: String, enum: ['inbound', 'outbound'] }
+    },
+    lastMessageAt: Date,
+    
+    // Counters
+    unreadCount: { type: Number, default: 0 },
+    totalMessages: { type: Number, default: 0 },
+    
+    isArchived: { type: Boolean, default: false },
+    
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+conversationSchema.index({ userId: 1, contactId: 1 }, { unique: true });
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+conversationSchema.index({ userId: 1, unreadCount: 1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // WhatsApp message
+    messageId: String,
+    direction: { type: String, enum: ['inbound', 'outbound'], default: 'inbound' },
+    from: String,
+    to: String,
+    type: { type: String, default: 'text' },
+    body: String,
+    hasMedia: { type: Boolean, default: false },
+    transport: String,
+    
+    // Read by our user (inbound)
+    readAt: Date,
+    timestamp: { type: Date, default: Date.now },
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+messageSchema.index({ conversationId: 1, timestamp: -1 });
+messageSchema.index({ userId: 1, messageId: 1 }, { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
 
 const orderSchema = new mongoose.Schema({
     orderNumber: {
@@ -12,7 +13,9 @@ const orderSchema = new mongoose.Schema({
     },
     customerPhone: {
         type: String,
-        required: true
+        required: true,
+        set: phoneUtils.setter,
+        validate: phoneUtils.validator
     },
     customerEmail: {
         type: String
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const sandboxMessageSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    clientId: String,
+    
+    // Message
+    messageId: { type: String, required: true, unique: true },
+    to: { type: String, required: true },
+    type: { type: String, enum: ['text', 'media', 'template', 'interactive', 'location', 'contact', 'sticker', 'group'], default: 'text' },
+    payload: mongoose.Schema.Types.Mixed,
+    
+    // Simulated delivery
+    status: {
+        type: String,
+        enum: ['sent', 'delivered', 'read', 'failed'],
+        default: 'sent'
+    },
+    error: String,
+    latencyMs: Number,
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+sandboxMessageSchema.index({ userId: 1, createdAt: -1 });
+sandboxMessageSchema.index({ campaignId: 1 });
+
+module.exports = mongoose.model('SandboxMessage', sandboxMessageSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const sessionCredentialSchema = new mongoose.Schema({
+    // RemoteAuth session name (RemoteAuth-<whatsappSessionId>)
+    session: { type: String, required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // active = what the client restores from, backup = point-in-time copy
+    kind: { type: String, enum: ['active', 'backup'], default: 'active' },
+    label: String,
+    source: {
+        type: String,
+        enum: ['remote_auth', 'backup', 'local_migration', 'legacy_files'],
+        default: 'remote_auth'
+    },
+    
+    // AES-256-GCM encrypted zip of the session directory
+    data: { type: Buffer, required: true, select: false },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    size: Number,
+    
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+sessionCredentialSchema.index({ session: 1, kind: 1, createdAt: -1 });
+sessionCredentialSchema.index({ session: 1 }, { unique: true, partialFilterExpression: { kind: 'active' } });
+
+// Update timestamp
+sessionCredentialSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('SessionCredential', sessionCredentialSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
+
+const suppressionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+    
+    // Number that must never get bulk messages (E.164)
+    phone: { type: String, required: true, set: phoneUtils.setter, validate: phoneUtils.validator },
+    
+    reason: {
+        type: String,
+        enum: ['opt_out', 'manual'],
+        default: 'opt_out'
+    },
+    keyword: String,   // the reply that triggered the opt-out
+    language: String,
+    
+    createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+suppressionSchema.index({ userId: 1, phone: 1 }, { unique: true });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -13,11 +13,27 @@ const templateSchema = new mongoose.Schema({
     
     // Template Content
     content: {
-        text: { type: String, required: true },
+        text: String,   // optional only when a location, contact card or sticker is sent
         variables: [{ name: String, placeholder: String, defaultValue: String }],
         mediaUrl: String,
         mediaType: { type: String, enum: ['image', 'video', 'document'] },
-        buttons: [{ text: String, url: String }]
+        buttons: [{ text: String, url: String }],
+        location: {
+            latitude: Number,
+            longitude: Number,
+            name: String,
+            address: String,
+            url: String
+        },
+        contactCard: {
+            contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+            name: String,
+            phones: { type: [String], default: undefined },
+            email: String,
+            organization: String,
+            title: String
+        },
+        stickerUrl: String
     },
     
     // Language
@@ -43,4 +59,13 @@ const templateSchema = new mongoose.Schema({
 templateSchema.index({ userId: 1, category: 1 });
 templateSchema.index({ isPublic: 1, isActive: 1 });
 
+// Text is optional only for location / contact card / sticker templates
+templateSchema.pre('validate', function(next) {
+    const content = this.content || {};
+    if (!content.text && content.location?.latitude == null && !content.contactCard?.name && !content.stickerUrl) {
+        this.invalidate('content.text', 'Template text is required');
+    }
+    next();
+});
+
 module.exports = mongoose.model('Template', templateSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const phoneUtils = require('../utils/phone');
+const sendingWindow = require('../utils/sendingWindow');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
@@ -24,7 +26,7 @@ const userSchema = new mongoose.Schema({
         sparse: true,
         unique: true
     },
-    phone: String,
+    phone: { type: String, set: phoneUtils.setter, validate: phoneUtils.validator },
     role: {
         type: String,
         enum: ['user', 'admin'],
@@ -34,6 +36,10 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
     whatsapp: {
         connected: {
             type: Boolean,
@@ -42,7 +48,39 @@ const userSchema = new mongoose.Schema({
         phoneNumber: String,
         sessionId: String,
         qrCode: String,
-        lastConnected: Date
+        lastConnected: Date,
+        mode: {
+            type: String,
+            enum: ['live', 'sandbox'],
+            default: 'live'
+        },
+        sandbox: {
+            failureRate: { type: Number, min: 0, max: 1 },
+            minLatency: { type: Number, min: 0 },
+            maxLatency: { type: Number, min: 0 },
+            readRate: { type: Number, min: 0, max: 1 }
+        },
+        cloud: {
+            phoneNumberId: String,
+            businessAccountId: String,
+            accessToken: { type: String, select: false }
+        },
+        optOut: {
+            enabled: { type: Boolean, default: true },
+            // Replies that unsubscribe, per language. Empty uses the built-in list
+            keywords: [{
+                language: String,
+                words: [String]
+            }],
+            confirmation: String
+        },
+        // Default campaign sending window (see utils/sendingWindow.js), unset parts use the system default
+        sendingWindow: {
+            days: { type: [Number], default: undefined },
+            start: String,
+            end: String,
+            timezone: String
+        }
     },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
@@ -51,6 +89,15 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+userSchema.pre('validate', function(next) {
+    const window = this.whatsapp?.sendingWindow;
+    const error = window && sendingWindow.check({ days: window.days, start: window.start, end: window.end, timezone: window.timezone });
+    if (error) {
+        this.invalidate('whatsapp.sendingWindow', error);
+    }
+    next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
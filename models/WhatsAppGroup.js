@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const whatsappGroupSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppSession' },
+    
+    // Group Details
+    groupJid: { type: String, required: true },
+    name: { type: String, trim: true },
+    participantCount: { type: Number, default: 0 },
+    isAdmin: { type: Boolean, default: false },   // the session's own number admins this group
+    
+    // Participants (from the last extraction)
+    participants: [{
+        phone: { type: String, required: true },
+        name: String,
+        isAdmin: { type: Boolean, default: false },
+        isSuperAdmin: { type: Boolean, default: false }
+    }],
+    hiddenParticipants: { type: Number, default: 0 },   // members WhatsApp only exposes as anonymous IDs
+    
+    extractedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+whatsappGroupSchema.index({ userId: 1, groupJid: 1 }, { unique: true });
+whatsappGroupSchema.index({ userId: 1, sessionId: 1 });
+
+// Update timestamp
+whatsappGroupSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('WhatsAppGroup', whatsappGroupSchema);
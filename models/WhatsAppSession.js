@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const whatsappSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    
+    // Identity
+    name: { type: String, required: true, trim: true },
+    phoneNumber: String,
+    deviceName: String,
+    isPrimary: { type: Boolean, default: false },
+    
+    // Connection
+    status: {
+        type: String,
+        enum: ['disconnected', 'connecting', 'qr_required', 'ready', 'degraded', 'logged_out', 'banned'],
+        default: 'disconnected'
+    },
+    stateChangedAt: Date,
+    stateHistory: [{
+        state: String,
+        reason: String,
+        at: { type: Date, default: Date.now }
+    }],
+    lastConnected: Date,
+    lastDisconnected: Date,
+    linkedAt: Date,   // current link (QR / pairing code), cleared on logout or ban
+    
+    // Auto-reconnect
+    reconnectAttempts: { type: Number, default: 0 },
+    nextReconnectAt: Date,
+    
+    // QR login
+    qrCode: String,
+    qrExpiresAt: Date,
+    qrAttempts: { type: Number, default: 0 },
+    
+    // Pairing-code login
+    pairingCode: String,
+    pairingCodeExpiresAt: Date,
+    
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Indexes
+whatsappSessionSchema.index({ userId: 1, name: 1 }, { unique: true });
+whatsappSessionSchema.index({ userId: 1, isPrimary: -1 });
+
+// Make one session the user's primary and demote the rest
+whatsappSessionSchema.statics.setPrimary = async function(userId, sessionId) {
+    await this.updateMany({ userId, _id: { $ne: sessionId } }, { isPrimary: false });
+    return await this.findOneAndUpdate({ _id: sessionId, userId }, { isPrimary: true }, { new: true });
+};
+
+// Update timestamp
+whatsappSessionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('WhatsAppSession', whatsappSessionSchema);
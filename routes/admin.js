@@ -5,6 +5,12 @@ const User = require('../models/User');
 const Contact = require('../models/Contact');
 const Order = require('../models/Order');
 const Campaign = require('../models/Campaign');
+const AdminUser = require('../models/AdminUser');
+const BotCommand = require('../models/BotCommand');
+const AdminNotification = require('../models/AdminNotification');
+const connectionEventService = require('../services/connectionEventService');
+const phoneUtils = require('../utils/phone');
+require('../services/botCommandService');   // listens for admin commands on incoming messages
 
 // Admin middleware - check if user is admin
 const isAdmin = async (req, res, next) => {
@@ -18,7 +24,7 @@ const isAdmin = async (req, res, next) => {
 
         // Check if user email or phone matches admin
         const isAdminUser = req.user.email === process.env.ADMIN_EMAIL || 
-                           req.user.phone === process.env.ADMIN_NUMBER ||
+                           (!!req.user.phone && req.user.phone === phoneUtils.normalize(process.env.ADMIN_NUMBER)) ||
                            req.user.isAdmin === true;
 
         if (!isAdminUser) {
@@ -120,7 +126,7 @@ router.get('/users/:id', protect, isAdmin, async (req, res) => {
         // Get user's stats
         const userOrders = await Order.countDocuments({ user: req.params.id });
         const userContacts = await Contact.countDocuments({ user: req.params.id });
-        const userCampaigns = await Campaign.countDocuments({ user: req.params.id });
+        const userCampaigns = await Campaign.countDocuments({ userId: req.params.id });
 
         res.json({
             success: true,
@@ -198,7 +204,7 @@ router.delete('/users/:id', protect, isAdmin, async (req, res) => {
 
         // Optionally delete user's data
         await Contact.deleteMany({ user: req.params.id });
-        await Campaign.deleteMany({ user: req.params.id });
+        await Campaign.deleteMany({ userId: req.params.id });
         await Order.deleteMany({ user: req.params.id });
 
         res.json({
@@ -238,7 +244,7 @@ router.get('/orders', protect, isAdmin, async (req, res) => {
 router.get('/campaigns', protect, isAdmin, async (req, res) => {
     try {
         const campaigns = await Campaign.find()
-            .populate('user', 'name email')
+            .populate('userId', 'name email')
             .sort({ createdAt: -1 })
             .limit(50);
 
@@ -280,4 +286,159 @@ router.get('/settings', protect, isAdmin, async (req, res) => {
     }
 });
 
+// WhatsApp bot command log
+router.get('/bot-commands', protect, isAdmin, async (req, res) => {
+    try {
+        const { status, from } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (from) query.fromNumber = { $regex: from.replace(/[^0-9]/g, '') };
+
+        const commands = await BotCommand.find(query)
+            .sort({ executedAt: -1 })
+            .limit(100);
+
+        res.json({
+            success: true,
+            count: commands.length,
+            data: commands
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Connection feed across all users' sessions
+router.get('/connection-events', protect, isAdmin, async (req, res) => {
+    try {
+        const { type, userId, page = 1, limit = 100 } = req.query;
+
+        const query = {};
+        if (type) query.type = type;
+        if (userId) query.userId = userId;
+
+        const { events, total } = await connectionEventService.list(query, { page, limit });
+        await User.populate(events, { path: 'userId', select: 'name email' });
+
+        res.json({
+            success: true,
+            count: events.length,
+            total,
+            data: events
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Admin alerts (first link, bans) and how they were delivered
+router.get('/notifications', protect, isAdmin, async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.type) query.type = req.query.type;
+
+        const notifications = await AdminNotification.find(query)
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('userId', 'name email');
+
+        res.json({
+            success: true,
+            count: notifications.length,
+            data: notifications
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Secondary admins allowed to use bot commands
+router.get('/admin-users', protect, isAdmin, async (req, res) => {
+    try {
+        const admins = await AdminUser.find().sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: admins.length,
+            data: admins
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Add or update a secondary admin
+router.post('/admin-users', protect, isAdmin, async (req, res) => {
+    try {
+        const { whatsappNumber, name, permissions, isActive } = req.body;
+        const number = phoneUtils.normalize(whatsappNumber);
+
+        if (!number) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid WhatsApp number required'
+            });
+        }
+
+        const admin = await AdminUser.findOneAndUpdate(
+            { whatsappNumber: number },
+            {
+                name,
+                permissions: Array.isArray(permissions) && permissions.length ? permissions : ['*'],
+                isActive: isActive !== false,
+                grantedBy: req.user.email
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Admin saved',
+            data: admin
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Remove a secondary admin
+router.delete('/admin-users/:id', protect, isAdmin, async (req, res) => {
+    try {
+        const admin = await AdminUser.findByIdAndDelete(req.params.id);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Admin removed'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
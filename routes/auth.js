@@ -4,6 +4,7 @@ const passport = require('passport');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const phoneUtils = require('../utils/phone');
 const { protect } = require('../middleware/auth');
 
 // Generate JWT Token
@@ -59,6 +60,13 @@ router.post('/register', async (req, res) => {
             });
         }
         
+        if (phone && !phoneUtils.isValid(phone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid phone number'
+            });
+        }
+        
         const user = await User.create({
             name,
             email,
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const AutoReplyRule = require('../models/AutoReplyRule');
+const AutoReplyLog = require('../models/AutoReplyLog');
+const autoReplyService = require('../services/autoReplyService');
+
+// Fields a client may set on a rule
+const RULE_FIELDS = ['name', 'sessionId', 'matchType', 'keywords', 'caseSensitive', 'reply', 'cooldownMinutes', 'activeHours', 'priority', 'isActive'];
+
+const pickRuleFields = (body) => {
+    const data = {};
+    RULE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// @route   GET /api/autoreplies
+// @desc    Get all auto-reply rules
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const query = { userId: req.user.id };
+        if (req.query.sessionId) query.sessionId = req.query.sessionId;
+
+        const rules = await AutoReplyRule.find(query).sort('-priority createdAt');
+
+        res.json({
+            success: true,
+            data: rules
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   POST /api/autoreplies
+// @desc    Create auto-reply rule
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    try {
+        const rule = await AutoReplyRule.create({
+            ...pickRuleFields(req.body),
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/autoreplies/logs
+// @desc    Auto-reply hits, newest first
+// @access  Private
+router.get('/logs', protect, async (req, res) => {
+    try {
+        const { ruleId, status, page = 1, limit = 50 } = req.query;
+
+        const query = { userId: req.user.id };
+        if (ruleId) query.ruleId = ruleId;
+        if (status) query.status = status;
+
+        const logs = await AutoReplyLog.find(query)
+            .populate('ruleId', 'name')
+            .populate('contactId', 'name phone')
+            .sort('-createdAt')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await AutoReplyLog.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: logs,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   POST /api/autoreplies/test
+// @desc    Which rule would answer a message (nothing is sent)
+// @access  Private
+router.post('/test', protect, async (req, res) => {
+    try {
+        const { text, sessionId } = req.body;
+
+        if (!text) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Text is required' 
+            });
+        }
+
+        const found = await autoReplyService.findRule(req.user._id, sessionId, text);
+
+        res.json({
+            success: true,
+            data: found ? {
+                rule: found.rule,
+                keyword: found.keyword,
+                withinActiveHours: autoReplyService.isWithinHours(found.rule)
+            } : null
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/autoreplies/:id
+// @desc    Get single auto-reply rule
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const rule = await AutoReplyRule.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        });
+
+        if (!rule) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Rule not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   PUT /api/autoreplies/:id
+// @desc    Update auto-reply rule
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const rule = await AutoReplyRule.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        });
+
+        if (!rule) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Rule not found' 
+            });
+        }
+
+        // Saved as a document so keyword validation sees the new matchType
+        rule.set(pickRuleFields(req.body));
+        await rule.save();
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   DELETE /api/autoreplies/:id
+// @desc    Delete auto-reply rule
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const rule = await AutoReplyRule.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user.id
+        });
+
+        if (!rule) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Rule not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Rule deleted'
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,22 @@ const router = express.Router();
 const { protect } = require('../middleware/auth');
 const Campaign = require('../models/Campaign');
 const Contact = require('../models/Contact');
+const ContactList = require('../models/ContactList');
+const Template = require('../models/Template');
+const WhatsAppGroup = require('../models/WhatsAppGroup');
+const messageService = require('../services/messageService');
+const receiptService = require('../services/receiptService');
+const interactiveService = require('../services/interactiveService');
+const campaignEngine = require('../services/campaignEngine');
+const interactive = require('../services/transports/interactive');
+const sendingWindow = require('../utils/sendingWindow');
+
+// Campaign settings POST / and PUT /:id take from the body (antiBan, contacts and groups are handled separately)
+const EDITABLE_FIELDS = [
+    'name', 'description', 'message', 'templateId', 'groupSettings', 'filters',
+    'scheduleType', 'scheduledAt', 'recurring', 'sendingWindow', 'dailySplit',
+    'sandbox', 'sessionId', 'skipUnverified', 'priority'
+];
 
 // @route   POST /api/campaigns
 // @desc    Create new campaign
@@ -17,10 +33,123 @@ router.post('/', protect, async (req, res) => {
             });
         }
 
-        const campaignData = {
-            ...req.body,
-            userId: req.user.id
-        };
+        // Only settings come from the body: status, execution, stats and day slices are the engine's
+        const campaignData = { userId: req.user.id };
+        EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).forEach(field => {
+            campaignData[field] = req.body[field];
+        });
+        if (req.body.antiBan) campaignData.antiBan = req.body.antiBan;
+        if (Array.isArray(req.body.contacts)) {
+            campaignData.contacts = req.body.contacts.map(({ phone, name, variables }) => ({ phone, name, variables }));
+        }
+        if (Array.isArray(req.body.groups)) {
+            campaignData.groups = req.body.groups.map(({ groupJid, name }) => ({ groupJid, name }));
+        }
+        // create-campaign.html posts the text as a plain string, a contact list and scheduledFor
+        if (typeof req.body.message === 'string') {
+            campaignData.message = { text: req.body.message };
+        }
+        if (req.body.scheduledFor && !req.body.scheduledAt) {
+            campaignData.scheduleType = 'scheduled';
+            campaignData.scheduledAt = req.body.scheduledFor;
+        }
+        if (req.body.contactList && !Array.isArray(req.body.contacts)) {
+            const list = await ContactList.findOne({
+                _id: req.body.contactList,
+                userId: req.user.id
+            }).select('contacts');
+
+            if (!list) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Contact list not found' 
+                });
+            }
+
+            const contacts = await Contact.find({ _id: { $in: list.contacts }, userId: req.user.id })
+                .select('phone name customFields')
+                .lean();
+            campaignData.contacts = contacts.map(contact => ({ phone: contact.phone, name: contact.name, variables: contact.customFields }));
+        }
+
+        // Scheduled campaigns wait as pending for the scheduler, the rest as drafts for POST /:id/start
+        campaignData.status = campaignData.scheduleType === 'scheduled' && campaignData.scheduledAt ? 'pending' : 'draft';
+
+        // create-campaign.html sends its anti-ban fields and daily percentage as deliverySettings
+        if (req.body.deliverySettings && !req.body.antiBan) {
+            const { minDelay, maxDelay, batchSize, cooldownPeriod, maxMessagesPerHour, shuffleRecipients } = req.body.deliverySettings;
+            campaignData.antiBan = { minDelay, maxDelay, batchSize, cooldownPeriod, maxMessagesPerHour, shuffleRecipients };
+        }
+        const dailyPercentage = req.body.deliverySettings?.dailyPercentage;
+        if (dailyPercentage && dailyPercentage < 100 && !req.body.dailySplit) {
+            campaignData.dailySplit = { mode: 'percentage', percentage: dailyPercentage };
+        }
+
+        // Without a message of its own the campaign sends a saved template
+        if (req.body.templateId && !req.body.message) {
+            const template = await Template.findOne({
+                _id: req.body.templateId,
+                $or: [{ userId: req.user.id }, { isPublic: true }]
+            });
+
+            if (!template) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Template not found' 
+                });
+            }
+
+            campaignData.message = template.content.toObject();
+            await Template.updateOne({ _id: template._id }, { $inc: { usageCount: 1 }, lastUsedAt: new Date() });
+        }
+
+        try {
+            // Legacy link buttons (create form, templates) are sent as a cta / buttons message
+            if (campaignData.message?.buttons?.length && !campaignData.message.interactive) {
+                const { buttons, ...message } = campaignData.message;
+                campaignData.message = { ...message, interactive: buttons.map(button => ({ text: button.text, url: button.url })) };
+            }
+
+            // Buttons / list / poll are stored normalized so replies can be matched later
+            if (campaignData.message?.interactive) {
+                campaignData.message = {
+                    ...campaignData.message,
+                    interactive: interactive.normalize(campaignData.message.interactive, campaignData.message.text)
+                };
+            }
+
+            // Contact cards are stored as a snapshot of the shared contact
+            if (campaignData.message?.contactCard) {
+                campaignData.message = {
+                    ...campaignData.message,
+                    contactCard: await messageService.resolveContactCard(req.user.id, campaignData.message.contactCard)
+                };
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        // Parts of the window the campaign leaves out come from the user's window
+        const windowError = campaignData.sendingWindow &&
+            sendingWindow.checkResolved(req.user.whatsapp?.sendingWindow, campaignData.sendingWindow);
+        if (windowError) {
+            return res.status(400).json({ 
+                success: false, 
+                error: windowError 
+            });
+        }
+
+        // Group targets can be picked from extracted groups by ID
+        if (Array.isArray(req.body.groupIds) && req.body.groupIds.length > 0) {
+            const groups = await WhatsAppGroup.find({
+                _id: { $in: req.body.groupIds },
+                userId: req.user.id
+            });
+            campaignData.groups = groups.map(group => ({ groupJid: group.groupJid, name: group.name }));
+        }
 
         const campaign = await Campaign.create(campaignData);
 
@@ -36,7 +165,7 @@ router.post('/', protect, async (req, res) => {
 
     } catch (error) {
         console.error('Create campaign error:', error);
-        res.status(500).json({ 
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
             success: false, 
             error: error.message 
         });
@@ -113,7 +242,7 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private
 router.put('/:id', protect, async (req, res) => {
     try {
-        let campaign = await Campaign.findOne({
+        const campaign = await Campaign.findOne({
             _id: req.params.id,
             userId: req.user.id
         });
@@ -125,19 +254,43 @@ router.put('/:id', protect, async (req, res) => {
             });
         }
 
-        // Don't allow updating running campaigns
-        if (campaign.status === 'running') {
+        // Once launched the recipients and their progress belong to the campaign engine
+        if (!['draft', 'pending'].includes(campaign.status)) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Cannot update running campaign' 
+                error: `Cannot update a ${campaign.status} campaign` 
             });
         }
 
-        campaign = await Campaign.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        // Checked together with the user's window, the parts the campaign leaves out come from there
+        const windowError = req.body.sendingWindow &&
+            (sendingWindow.check(req.body.sendingWindow) || sendingWindow.checkResolved(req.user.whatsapp?.sendingWindow, req.body.sendingWindow));
+        if (windowError) {
+            return res.status(400).json({ 
+                success: false, 
+                error: windowError 
+            });
+        }
+
+        // Only settings are taken from the body, status / execution / stats / day slices stay the engine's
+        EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).forEach(field => {
+            campaign.set(field, req.body[field]);
+        });
+        if (req.body.antiBan && typeof req.body.antiBan === 'object') {
+            // Anti-ban fields left out keep their value
+            Object.entries(req.body.antiBan).forEach(([key, value]) => campaign.set(`antiBan.${key}`, value));
+        }
+        if (Array.isArray(req.body.contacts)) {
+            campaign.contacts = req.body.contacts.map(({ phone, name, variables }) => ({ phone, name, variables }));
+        }
+        if (Array.isArray(req.body.groups)) {
+            campaign.groups = req.body.groups.map(({ groupJid, name }) => ({ groupJid, name }));
+        }
+
+        // save() runs the schema checks an update skips (antiBan minDelay <= maxDelay), the status
+        // condition keeps a launch that happened meanwhile from being overwritten
+        campaign.$where = { status: { $in: ['draft', 'pending'] } };
+        await campaign.save();
 
         res.json({
             success: true,
@@ -145,7 +298,13 @@ router.put('/:id', protect, async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({ 
+        if (error.name === 'DocumentNotFoundError') {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Campaign was started while it was being updated' 
+            });
+        }
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
             success: false, 
             error: error.message 
         });
@@ -199,14 +358,256 @@ router.post('/:id/start', protect, async (req, res) => {
             });
         }
 
-        campaign.status = 'running';
-        campaign.startedAt = new Date();
-        await campaign.save();
+        if (!['draft', 'pending'].includes(campaign.status)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Campaign is ${campaign.status}, it can't be started` 
+            });
+        }
+
+        // The user's window may have changed since the campaign was saved
+        const windowError = sendingWindow.check(await campaignEngine.getWindow(campaign));
+        if (windowError) {
+            return res.status(400).json({ 
+                success: false, 
+                error: windowError 
+            });
+        }
+
+        const started = await campaignEngine.launch(campaign._id);
+        if (!started) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Campaign was started by another request' 
+            });
+        }
 
         res.json({
             success: true,
             message: 'Campaign started',
-            data: campaign
+            data: started
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// Pause / resume / cancel one of the user's campaigns through the engine
+async function controlCampaign(req, res, action, message) {
+    try {
+        const campaign = await Campaign.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        }).select('status');
+
+        if (!campaign) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Campaign not found' 
+            });
+        }
+
+        if (!campaignEngine.canControl(campaign, action)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Campaign is ${campaign.status}, it can't be ${action === 'cancel' ? 'cancelled' : `${action}d`}` 
+            });
+        }
+
+        const updated = await campaignEngine.control(campaign._id, action, { userId: req.user._id, via: 'api' });
+        if (!updated) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Campaign status changed, try again' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message,
+            data: updated
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+}
+
+// @route   POST /api/campaigns/:id/pause
+// @desc    Pause a running campaign after the message in progress
+// @access  Private
+router.post('/:id/pause', protect, (req, res) => controlCampaign(req, res, 'pause', 'Campaign paused'));
+
+// @route   POST /api/campaigns/:id/resume
+// @desc    Resume a paused campaign from where it stopped
+// @access  Private
+router.post('/:id/resume', protect, (req, res) => controlCampaign(req, res, 'resume', 'Campaign resumed'));
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Cancel a campaign, recipients not yet sent to are left out
+// @access  Private
+router.post('/:id/cancel', protect, (req, res) => controlCampaign(req, res, 'cancel', 'Campaign cancelled'));
+
+// @route   GET /api/campaigns/:id/events
+// @desc    Live recipient status and stats (Server-Sent Events)
+// @access  Private
+router.get('/:id/events', protect, async (req, res) => {
+    try {
+        const campaign = await Campaign.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        }).select('status stats');
+
+        if (!campaign) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Campaign not found' 
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const campaignId = String(campaign._id);
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Current stats first, then every receipt
+        send('stats', { campaignId, status: campaign.status, stats: campaign.stats });
+
+        const onUpdate = (update) => {
+            if (update.campaignId === campaignId) send('receipt', update);
+        };
+        const onResponse = (answer) => {
+            if (answer.campaignId === campaignId) send('response', answer);
+        };
+        const onProgress = (progress) => {
+            if (progress.campaignId === campaignId) send('progress', progress);
+        };
+        const onStatus = (change) => {
+            if (change.campaignId === campaignId) send('status', change);
+        };
+        const onCompleted = (result) => {
+            if (result.campaignId === campaignId) send('completed', result);
+        };
+        receiptService.on('update', onUpdate);
+        interactiveService.on('response', onResponse);
+        campaignEngine.on('progress', onProgress);
+        campaignEngine.on('status', onStatus);
+        campaignEngine.on('completed', onCompleted);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            receiptService.off('update', onUpdate);
+            interactiveService.off('response', onResponse);
+            campaignEngine.off('progress', onProgress);
+            campaignEngine.off('status', onStatus);
+            campaignEngine.off('completed', onCompleted);
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/campaigns/:id/responses
+// @desc    Answers to the campaign's interactive message, per option and per recipient
+// @access  Private
+router.get('/:id/responses', protect, async (req, res) => {
+    try {
+        const campaign = await Campaign.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        }).select('message contacts');
+
+        if (!campaign) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Campaign not found' 
+            });
+        }
+
+        const summary = interactiveService.summarize(campaign);
+        if (!summary) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Campaign has no interactive message' 
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...summary,
+                responses: campaign.contacts
+                    .filter(contact => contact.response?.respondedAt)
+                    .map(contact => ({ phone: contact.phone, name: contact.name, ...contact.response.toObject() }))
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/campaigns/:id/schedule
+// @desc    Day-by-day slices of a campaign sent over several days (a preview before it starts)
+// @access  Private
+router.get('/:id/schedule', protect, async (req, res) => {
+    try {
+        const campaign = await Campaign.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        }).select('userId status dailySplit sendingWindow scheduleSplits contacts.status contacts.splitDay');
+
+        if (!campaign) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Campaign not found' 
+            });
+        }
+
+        if (!campaign.dailySplit?.mode) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Campaign is not split by day' 
+            });
+        }
+
+        const preview = campaign.scheduleSplits.length === 0;
+        const window = await campaignEngine.getWindow(campaign);
+        const days = preview
+            ? campaignEngine.buildSplits(campaign.contacts.map(() => ({})), campaign.dailySplit, new Date(), window)
+            : campaignEngine.scheduleReport(campaign);
+
+        res.json({
+            success: true,
+            data: {
+                status: campaign.status,
+                dailySplit: campaign.dailySplit,
+                preview,
+                days
+            }
         });
 
     } catch (error) {
@@ -4,6 +4,8 @@ const multer = require('multer');
 const XLSX = require('xlsx');
 const { protect } = require('../middleware/auth');
 const Contact = require('../models/Contact');
+const numberCheckService = require('../services/numberCheckService');
+const phoneUtils = require('../utils/phone');
 const path = require('path');
 const fs = require('fs');
 
@@ -88,6 +90,12 @@ router.post('/', protect, async (req, res) => {
                 error: 'Contact with this phone number already exists' 
             });
         }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
         res.status(500).json({ 
             success: false, 
             error: error.message 
@@ -123,7 +131,7 @@ router.post('/import', protect, upload.single('file'), async (req, res) => {
                 const contact = {
                     userId: req.user.id,
                     name: row.name || row.Name || row.NAME || 'Unknown',
-                    phone: String(row.phone || row.Phone || row.PHONE || row.mobile || row.Mobile || ''),
+                    phone: phoneUtils.normalize(row.phone || row.Phone || row.PHONE || row.mobile || row.Mobile),
                     email: row.email || row.Email || row.EMAIL || '',
                     location: {
                         pincode: row.pincode || row.Pincode || row.PINCODE || '',
@@ -135,7 +143,7 @@ router.post('/import', protect, upload.single('file'), async (req, res) => {
                 };
 
                 // Validate phone number
-                if (!contact.phone || contact.phone.length < 10) {
+                if (!contact.phone) {
                     errors.push({ row: i + 1, error: 'Invalid phone number' });
                     continue;
                 }
@@ -193,6 +201,99 @@ router.post('/import', protect, upload.single('file'), async (req, res) => {
     }
 });
 
+// @route   POST /api/contacts/validate
+// @desc    Check which contacts are on WhatsApp (background job)
+// @access  Private
+router.post('/validate', protect, async (req, res) => {
+    try {
+        const { contactIds, listId, sessionId, recheck } = req.body;
+
+        const job = await numberCheckService.start(req.user.id, {
+            contactIds,
+            listId,
+            sessionId,
+            recheck: recheck === true
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Checking ${job.total} contacts`,
+            data: job
+        });
+
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/contacts/validate
+// @desc    Recent number check jobs
+// @access  Private
+router.get('/validate', protect, async (req, res) => {
+    try {
+        const unverified = await Contact.countDocuments({
+            userId: req.user.id,
+            'whatsapp.verifiedAt': null
+        });
+
+        res.json({
+            success: true,
+            data: {
+                jobs: numberCheckService.listJobs(req.user.id),
+                unverified
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/contacts/validate/:jobId
+// @desc    Progress of a number check job
+// @access  Private
+router.get('/validate/:jobId', protect, async (req, res) => {
+    const job = numberCheckService.getJob(req.user.id, req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            success: false, 
+            error: 'Job not found' 
+        });
+    }
+
+    res.json({
+        success: true,
+        data: job
+    });
+});
+
+// @route   DELETE /api/contacts/validate/:jobId
+// @desc    Stop a running number check
+// @access  Private
+router.delete('/validate/:jobId', protect, async (req, res) => {
+    const job = numberCheckService.cancel(req.user.id, req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            success: false, 
+            error: 'Job not found' 
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Number check will stop after the current lookup',
+        data: job
+    });
+});
+
 // @route   GET /api/contacts/:id
 // @desc    Get single contact
 // @access  Private
@@ -247,6 +348,18 @@ router.put('/:id', protect, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Contact with this phone number already exists' 
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
         res.status(500).json({ 
             success: false, 
             error: error.message 
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const inboxService = require('../services/inboxService');
+
+// @route   GET /api/conversations
+// @desc    List conversations, newest first
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const { unread, archived, sessionId, page = 1, limit = 20 } = req.query;
+
+        const query = { userId: req.user._id, isArchived: archived === 'true' };
+        if (unread === 'true') query.unreadCount = { $gt: 0 };
+        if (sessionId) query.sessionId = sessionId;
+
+        const conversations = await Conversation.find(query)
+            .populate('contactId', 'name phone tags location')
+            .sort('-lastMessageAt')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Conversation.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: conversations,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/conversations/unread
+// @desc    Unread totals for the inbox badge
+// @access  Private
+router.get('/unread', protect, async (req, res) => {
+    try {
+        const [totals] = await Conversation.aggregate([
+            { $match: { userId: req.user._id, unreadCount: { $gt: 0 } } },
+            { $group: { _id: null, conversations: { $sum: 1 }, messages: { $sum: '$unreadCount' } } }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                conversations: totals?.conversations || 0,
+                messages: totals?.messages || 0
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/conversations/contact/:contactId
+// @desc    Thread with a single contact
+// @access  Private
+router.get('/contact/:contactId', protect, async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const conversation = await Conversation.findOne({
+            userId: req.user._id,
+            contactId: req.params.contactId
+        }).populate('contactId', 'name phone tags location');
+
+        if (!conversation) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'No conversation with this contact' 
+            });
+        }
+
+        const messages = await Message.find({ conversationId: conversation._id })
+            .sort('-timestamp')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        res.json({
+            success: true,
+            data: {
+                conversation,
+                messages
+            },
+            pagination: {
+                total: conversation.totalMessages,
+                page: parseInt(page),
+                pages: Math.ceil(conversation.totalMessages / limit)
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Single conversation with its messages
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const conversation = await Conversation.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        }).populate('contactId', 'name phone tags location');
+
+        if (!conversation) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Conversation not found' 
+            });
+        }
+
+        const messages = await Message.find({ conversationId: conversation._id })
+            .sort('-timestamp')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        res.json({
+            success: true,
+            data: {
+                conversation,
+                messages
+            },
+            pagination: {
+                total: conversation.totalMessages,
+                page: parseInt(page),
+                pages: Math.ceil(conversation.totalMessages / limit)
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+    try {
+        const conversation = await inboxService.markRead(req.user._id, req.params.id);
+
+        if (!conversation) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Conversation not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            data: conversation
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   PUT /api/conversations/:id/archive
+// @desc    Archive or unarchive a conversation
+// @access  Private
+router.put('/:id/archive', protect, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            { isArchived: req.body.archived !== false },
+            { new: true }
+        );
+
+        if (!conversation) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Conversation not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            data: conversation
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+module.exports = router;
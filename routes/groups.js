@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const WhatsAppGroup = require('../models/WhatsAppGroup');
+const groupService = require('../services/groupService');
+
+// @route   GET /api/groups
+// @desc    Groups of a connected session (?refresh=true fetches them again)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const { sessionId, refresh, adminOnly } = req.query;
+
+        if (refresh === 'true') {
+            const result = await groupService.syncGroups(req.user._id, sessionId);
+            if (!result.success) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: result.message 
+                });
+            }
+        }
+
+        const query = { userId: req.user._id };
+        if (sessionId) query.sessionId = sessionId;
+        if (adminOnly === 'true') query.isAdmin = true;
+
+        const groups = await WhatsAppGroup.find(query)
+            .select('-participants')
+            .sort('name');
+
+        res.json({
+            success: true,
+            data: groups
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/groups/:id/participants
+// @desc    Members of a group with admin flags (?refresh=true fetches them again)
+// @access  Private
+router.get('/:id/participants', protect, async (req, res) => {
+    try {
+        let group = await WhatsAppGroup.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!group) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Group not found' 
+            });
+        }
+
+        if (req.query.refresh === 'true' || !group.extractedAt) {
+            const result = await groupService.syncParticipants(req.user._id, group);
+            if (!result.success) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: result.message 
+                });
+            }
+            group = result.group;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                group: {
+                    _id: group._id,
+                    groupJid: group.groupJid,
+                    name: group.name,
+                    isAdmin: group.isAdmin,
+                    hiddenParticipants: group.hiddenParticipants,
+                    extractedAt: group.extractedAt
+                },
+                participants: group.participants
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   POST /api/groups/:id/import
+// @desc    Import group members as contacts (all, or the given phones)
+// @access  Private
+router.post('/:id/import', protect, async (req, res) => {
+    try {
+        const { phones, adminsOnly, tags } = req.body;
+
+        let group = await WhatsAppGroup.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!group) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Group not found' 
+            });
+        }
+
+        if (!group.extractedAt) {
+            const result = await groupService.syncParticipants(req.user._id, group);
+            if (!result.success) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: result.message 
+                });
+            }
+            group = result.group;
+        }
+
+        const result = await groupService.importParticipants(req.user._id, group, {
+            phones,
+            adminsOnly: adminsOnly === true,
+            tags: Array.isArray(tags) ? tags : (tags ? String(tags).split(',').map(t => t.trim()) : [])
+        });
+
+        res.json({
+            success: true,
+            message: `${result.imported} contacts imported, ${result.updated} existing contacts updated`,
+            data: result
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const Order = require('../models/Order');
+const phoneUtils = require('../utils/phone');
 const whatsappService = require('../services/whatsappService');
 
 // Get all orders
@@ -72,6 +73,13 @@ router.post('/', protect, async (req, res) => {
                 message: 'Customer name, phone, items, and total amount are required'
             });
         }
+
+        if (!phoneUtils.isValid(customerPhone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid customer phone number'
+            });
+        }
         
         // Create order
         const order = new Order({
@@ -98,7 +106,7 @@ router.post('/', protect, async (req, res) => {
 ` +
             `👤 Customer: ${customerName}
 ` +
-            `📱 Phone: ${customerPhone}
+            `📱 Phone: ${order.customerPhone}
 ` +
             `💰 Amount: ₹${totalAmount}
 ` +
@@ -111,9 +119,9 @@ router.post('/', protect, async (req, res) => {
 ` +
             `View details: ${process.env.CLIENT_URL}/orders/${order._id}`;
         
-        // Send to admin (placeholder - works on Railway)
-        await whatsappService.sendMessage(
-            req.user._id.toString(),
+        // Send to admin
+        await whatsappService.sendText(
+            req.user._id,
             process.env.ADMIN_NUMBER,
             adminMessage
         );
@@ -168,8 +176,8 @@ router.put('/:id/status', protect, async (req, res) => {
             `
 Thank you for your order!`;
         
-        await whatsappService.sendMessage(
-            req.user._id.toString(),
+        await whatsappService.sendText(
+            req.user._id,
             order.customerPhone,
             statusMessage
         );
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const Suppression = require('../models/Suppression');
+const User = require('../models/User');
+const optOutService = require('../services/optOutService');
+const phoneUtils = require('../utils/phone');
+
+// @route   GET /api/suppression
+// @desc    Numbers that are excluded from every bulk send
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const { search, reason, page = 1, limit = 50 } = req.query;
+
+        const query = { userId: req.user.id };
+        if (search) query.phone = { $regex: search.replace(/[^0-9]/g, '') };
+        if (reason) query.reason = reason;
+
+        const entries = await Suppression.find(query)
+            .populate('contactId', 'name phone')
+            .sort('-createdAt')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Suppression.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   POST /api/suppression
+// @desc    Suppress a number by hand
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        if (!phoneUtils.isValid(phone)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Valid phone number is required' 
+            });
+        }
+
+        const added = await optOutService.suppress(req.user._id, phone, { reason: 'manual' });
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Number suppressed' : 'Number was already suppressed'
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   GET /api/suppression/settings
+// @desc    Opt-out keywords and confirmation message
+// @access  Private
+router.get('/settings', protect, async (req, res) => {
+    try {
+        const settings = await optOutService.getSettings(req.user._id);
+
+        res.json({
+            success: true,
+            data: settings
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   PUT /api/suppression/settings
+// @desc    Update opt-out keywords ([{ language, words }]) and confirmation message
+// @access  Private
+router.put('/settings', protect, async (req, res) => {
+    try {
+        const { enabled, keywords, confirmation } = req.body;
+        const update = {};
+
+        if (enabled !== undefined) update['whatsapp.optOut.enabled'] = enabled !== false;
+        if (confirmation !== undefined) update['whatsapp.optOut.confirmation'] = confirmation;
+        if (keywords !== undefined) {
+            if (!Array.isArray(keywords) || keywords.some(k => !k.language || !Array.isArray(k.words))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'Keywords must be a list of { language, words }' 
+                });
+            }
+            update['whatsapp.optOut.keywords'] = keywords.map(k => ({
+                language: k.language,
+                words: k.words.map(word => String(word).trim()).filter(Boolean)
+            }));
+        }
+
+        await User.findByIdAndUpdate(req.user._id, update, { runValidators: true });
+
+        res.json({
+            success: true,
+            data: await optOutService.getSettings(req.user._id)
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// @route   DELETE /api/suppression/:phone
+// @desc    Remove a number from the suppression list (contact opted back in)
+// @access  Private
+router.delete('/:phone', protect, async (req, res) => {
+    try {
+        const removed = await optOutService.unsuppress(req.user._id, req.params.phone);
+
+        if (!removed) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Number is not suppressed' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Number removed from suppression list'
+        });
+
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+module.exports = router;
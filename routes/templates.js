@@ -2,6 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const Template = require('../models/Template');
+const messageService = require('../services/messageService');
+
+// Store contact cards as a snapshot of the shared contact ({ contactId } or the card fields)
+async function withContactCard(userId, body) {
+    if (!body.content?.contactCard) return body;
+    return {
+        ...body,
+        content: { ...body.content, contactCard: await messageService.resolveContactCard(userId, body.content.contactCard) }
+    };
+}
 
 // @route   GET /api/templates
 // @desc    Get all templates
@@ -40,10 +50,15 @@ router.get('/', protect, async (req, res) => {
 // @access  Private
 router.post('/', protect, async (req, res) => {
     try {
-        const templateData = {
-            ...req.body,
-            userId: req.user.id
-        };
+        let templateData;
+        try {
+            templateData = await withContactCard(req.user.id, { ...req.body, userId: req.user.id });
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
 
         const template = await Template.create(templateData);
 
@@ -95,9 +110,19 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private
 router.put('/:id', protect, async (req, res) => {
     try {
+        let update;
+        try {
+            update = await withContactCard(req.user.id, req.body);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
         const template = await Template.findOneAndUpdate(
             { _id: req.params.id, userId: req.user.id },
-            req.body,
+            update,
             { new: true, runValidators: true }
         );
 
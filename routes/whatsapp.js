@@ -1,47 +1,83 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const whatsappService = require('../services/whatsappService');
+const messageService = require('../services/messageService');
+const qrService = require('../services/qrService');
+const connectionEventService = require('../services/connectionEventService');
+const MongoAuthStore = require('../services/mongoAuthStore');
+const Campaign = require('../models/Campaign');
+const SandboxMessage = require('../models/SandboxMessage');
+const User = require('../models/User');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const sendingWindow = require('../utils/sendingWindow');
+
+const authStore = new MongoAuthStore();
 
 // Status endpoint
 router.get('/status', protect, async (req, res) => {
-    res.json({
-        success: true,
-        status: 'disabled_termux',
-        message: 'WhatsApp will be enabled on Railway deployment',
-        environment: process.env.NODE_ENV || 'development'
-    });
+    try {
+        const status = await whatsappService.getStatus(req.user._id, {
+            sessionId: req.query.sessionId
+        });
+        const sessions = await WhatsAppSession.find({ userId: req.user._id })
+            .select('name phoneNumber status isPrimary')
+            .sort('-isPrimary createdAt');
+        res.json({
+            success: true,
+            ...status,
+            sessions,
+            environment: process.env.NODE_ENV || 'development'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
 });
 
-// Connect endpoint (placeholder)
+// Connect endpoint
 router.post('/connect', protect, async (req, res) => {
-    const result = await whatsappService.initializeClient(req.user._id.toString());
+    const result = await whatsappService.connect(req.user._id, {
+        sessionId: req.body.sessionId
+    });
     res.json(result);
 });
 
-// Send message (placeholder)
+// Send message
 router.post('/send', protect, async (req, res) => {
-    const { phoneNumber, message } = req.body;
+    const { phoneNumber, message, mediaUrl, mediaType, template, interactive, location, contactCard, stickerUrl, sessionId } = req.body;
     
-    if (!phoneNumber || !message) {
+    if (!phoneNumber || (!message && !mediaUrl && !template && !interactive && !location && !contactCard && !stickerUrl)) {
         return res.status(400).json({
             success: false,
             message: 'Phone number and message required'
         });
     }
 
+    // contactCard may name one of the user's contacts by contactId
+    let card;
+    try {
+        card = await messageService.resolveContactCard(req.user._id, contactCard);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
     const result = await whatsappService.sendMessage(
-        req.user._id.toString(),
+        req.user._id,
         phoneNumber,
-        message
+        { text: message, mediaUrl, mediaType, template, interactive, location, contactCard: card, stickerUrl },
+        { sessionId }
     );
 
     res.json(result);
 });
 
-// Bulk send (placeholder)
+// Bulk send
 router.post('/bulk', protect, async (req, res) => {
-    const { recipients, message } = req.body;
+    const { recipients, message, location, contactCard, stickerUrl, sessionId } = req.body;
     
     if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
         return res.status(400).json({
@@ -50,26 +86,731 @@ router.post('/bulk', protect, async (req, res) => {
         });
     }
 
-    if (!message) {
+    if (!message && !location && !contactCard && !stickerUrl) {
         return res.status(400).json({
             success: false,
             message: 'Message required'
         });
     }
 
-    const result = await whatsappService.sendBulkMessages(
-        req.user._id.toString(),
-        recipients,
-        message
+    let card;
+    try {
+        card = await messageService.resolveContactCard(req.user._id, contactCard);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const contacts = recipients.map(recipient => 
+        typeof recipient === 'string' ? { phone: recipient } : recipient
     );
 
-    res.json(result);
+    const results = await messageService.sendBulkMessages(req.user._id, contacts, message, {
+        sessionId,
+        location,
+        contactCard: card,
+        stickerUrl
+    });
+    const failed = results.filter(r => r.status === 'failed');
+    const skipped = results.filter(r => r.status === 'skipped');
+
+    res.json({
+        success: true,
+        results: {
+            total: results.length,
+            sent: results.length - failed.length - skipped.length,
+            failed: failed.length,
+            skipped: skipped.length,
+            failedNumbers: failed.map(r => r.phone),
+            optedOutNumbers: skipped.map(r => r.phone)
+        }
+    });
+});
+
+// Switch between live sending and sandbox (dry-run) mode
+router.put('/mode', protect, async (req, res) => {
+    try {
+        const { mode, sandbox } = req.body;
+
+        if (!['live', 'sandbox'].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mode must be live or sandbox'
+            });
+        }
+
+        const result = await whatsappService.setMode(req.user._id, mode, sandbox);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Save WhatsApp Cloud API credentials for this user
+router.put('/cloud', protect, async (req, res) => {
+    try {
+        const { phoneNumberId, businessAccountId, accessToken } = req.body;
+
+        if (!phoneNumberId || !accessToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number ID and access token required'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user._id, {
+            'whatsapp.cloud': { phoneNumberId, businessAccountId, accessToken }
+        });
+        whatsappService.clearUserSettings(req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Cloud API credentials saved',
+            data: { phoneNumberId, businessAccountId }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Default sending window for this user's campaigns (campaigns can override it)
+router.get('/sending-window', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('whatsapp.sendingWindow').lean();
+        const window = user?.whatsapp?.sendingWindow || {};
+
+        res.json({
+            success: true,
+            data: {
+                window,
+                effective: sendingWindow.resolve(window),
+                defaults: sendingWindow.DEFAULT_WINDOW
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Set the default sending window: { days, start, end, timezone }, unset parts use the system default
+router.put('/sending-window', protect, async (req, res) => {
+    try {
+        const { days, start, end, timezone } = req.body;
+        const window = { days, start, end, timezone };
+
+        const error = sendingWindow.check(window) || sendingWindow.checkResolved(window);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        // Campaigns that override part of the window must still get a valid one
+        const campaigns = await Campaign.find({
+            userId: req.user._id,
+            status: { $in: ['draft', 'pending', 'running', 'paused'] },
+            $or: [{ 'sendingWindow.start': { $ne: null } }, { 'sendingWindow.end': { $ne: null } }]
+        }).select('name sendingWindow').lean();
+
+        for (const campaign of campaigns) {
+            const campaignError = sendingWindow.checkResolved(window, campaign.sendingWindow);
+            if (campaignError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Campaign "${campaign.name}": ${campaignError}`
+                });
+            }
+        }
+
+        await User.findByIdAndUpdate(req.user._id, { 'whatsapp.sendingWindow': window });
+
+        res.json({
+            success: true,
+            message: 'Sending window saved',
+            data: {
+                window,
+                effective: sendingWindow.resolve(window)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Cloud API webhook verification handshake
+router.get('/webhook', (req, res) => {
+    const verifyToken = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+
+    if (req.query['hub.mode'] === 'subscribe' && verifyToken && req.query['hub.verify_token'] === verifyToken) {
+        return res.status(200).send(req.query['hub.challenge']);
+    }
+    res.sendStatus(403);
+});
+
+// Cloud API webhook deliveries (incoming messages and statuses)
+router.post('/webhook', async (req, res) => {
+    const appSecret = process.env.WHATSAPP_CLOUD_APP_SECRET;
+
+    // Unsigned payloads could forge messages and receipts for any user, so no secret means no webhook
+    if (!appSecret) {
+        console.error('Cloud webhook rejected: WHATSAPP_CLOUD_APP_SECRET is not set');
+        return res.sendStatus(403);
+    }
+
+    const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex'));
+    const signature = Buffer.from(req.get('X-Hub-Signature-256') || '');
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return res.sendStatus(401);
+    }
+
+    // Meta retries anything that isn't a quick 200
+    res.sendStatus(200);
+
+    try {
+        await whatsappService.handleCloudWebhook(req.body);
+    } catch (error) {
+        console.error('Cloud webhook error:', error.message);
+    }
+});
+
+// Messages recorded by the sandbox transport
+router.get('/sandbox/messages', protect, async (req, res) => {
+    try {
+        const { campaignId, status, page = 1, limit = 50 } = req.query;
+
+        const query = { userId: req.user._id };
+        if (campaignId) query.campaignId = campaignId;
+        if (status) query.status = status;
+
+        const messages = await SandboxMessage.find(query)
+            .sort('-createdAt')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SandboxMessage.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: messages,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Clear recorded sandbox messages
+router.delete('/sandbox/messages', protect, async (req, res) => {
+    try {
+        const query = { userId: req.user._id };
+        if (req.query.campaignId) query.campaignId = req.query.campaignId;
+
+        const result = await SandboxMessage.deleteMany(query);
+
+        res.json({
+            success: true,
+            message: `${result.deletedCount} sandbox messages deleted`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
 });
 
 // Disconnect endpoint
 router.post('/disconnect', protect, async (req, res) => {
-    const result = await whatsappService.disconnectClient(req.user._id.toString());
+    const result = await whatsappService.disconnect(req.user._id, {
+        sessionId: req.body.sessionId
+    });
+    res.json(result);
+});
+
+// @route   GET /api/whatsapp/sessions
+// @desc    List linked WhatsApp sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await WhatsAppSession.find({ userId: req.user._id })
+            .sort('-isPrimary createdAt');
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/whatsapp/sessions
+// @desc    Create a new WhatsApp session
+// @access  Private
+router.post('/sessions', protect, async (req, res) => {
+    try {
+        const { name, deviceName, isPrimary } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session name required'
+            });
+        }
+
+        const existing = await WhatsAppSession.countDocuments({ userId: req.user._id });
+        const session = await WhatsAppSession.create({
+            userId: req.user._id,
+            name,
+            deviceName,
+            isPrimary: existing === 0
+        });
+
+        const data = isPrimary && existing > 0
+            ? await WhatsAppSession.setPrimary(req.user._id, session._id)
+            : session;
+
+        res.status(201).json({
+            success: true,
+            message: 'Session created successfully',
+            data
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A session with this name already exists'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/whatsapp/sessions/:id
+// @desc    Get a session with its live transport status
+// @access  Private
+router.get('/sessions/:id', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const status = await whatsappService.getStatus(req.user._id, { sessionId: session._id });
+
+        res.json({
+            success: true,
+            data: session,
+            live: status
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/whatsapp/sessions/:id
+// @desc    Rename a session, set its device name or make it primary
+// @access  Private
+router.put('/sessions/:id', protect, async (req, res) => {
+    try {
+        const { name, deviceName, isPrimary } = req.body;
+
+        const update = {};
+        if (name) update.name = name;
+        if (typeof deviceName !== 'undefined') update.deviceName = deviceName;
+
+        let session = await WhatsAppSession.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            update,
+            { new: true, runValidators: true }
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (isPrimary === true) {
+            session = await WhatsAppSession.setPrimary(req.user._id, session._id);
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A session with this name already exists'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/whatsapp/sessions/:id
+// @desc    Disconnect and delete a session
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await whatsappService.disconnect(req.user._id, { sessionId: session._id });
+        await session.deleteOne();
+
+        // Promote the oldest remaining session
+        if (session.isPrimary) {
+            const next = await WhatsAppSession.findOne({ userId: req.user._id }).sort('createdAt');
+            if (next) await WhatsAppSession.setPrimary(req.user._id, next._id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Session deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/whatsapp/sessions/:id/connect
+// @desc    Start (or resume) a session
+// @access  Private
+router.post('/sessions/:id/connect', protect, async (req, res) => {
+    const result = await whatsappService.connect(req.user._id, { sessionId: req.params.id });
     res.json(result);
 });
 
+// @route   POST /api/whatsapp/sessions/:id/disconnect
+// @desc    Disconnect a session without deleting it
+// @access  Private
+router.post('/sessions/:id/disconnect', protect, async (req, res) => {
+    const result = await whatsappService.disconnect(req.user._id, { sessionId: req.params.id });
+    res.json(result);
+});
+
+// @route   GET /api/whatsapp/sessions/:id/qr
+// @desc    Current login QR as data URL (JSON) or image (?format=png)
+// @access  Private
+router.get('/sessions/:id/qr', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.status === 'ready') {
+            return res.json({
+                success: true,
+                state: 'linked',
+                phoneNumber: session.phoneNumber
+            });
+        }
+
+        const qr = await qrService.getQr(session);
+        if (!qr) {
+            return res.status(404).json({
+                success: false,
+                message: 'No QR code available. Connect the session first.'
+            });
+        }
+
+        if (req.query.format === 'png') {
+            const png = await qrService.getPng(session);
+            res.set('Cache-Control', 'no-store');
+            res.set('X-QR-Expires-At', qr.expiresAt.toISOString());
+            return res.type('png').send(png);
+        }
+
+        res.json({
+            success: true,
+            ...qr
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/whatsapp/sessions/:id/pair
+// @desc    Link a session with an 8-character pairing code instead of a QR
+// @access  Private
+router.post('/sessions/:id/pair', protect, async (req, res) => {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber) {
+        return res.status(400).json({
+            success: false,
+            message: 'Phone number required'
+        });
+    }
+
+    const result = await whatsappService.requestPairingCode(req.user._id, phoneNumber, {
+        sessionId: req.params.id
+    });
+
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// @route   GET /api/whatsapp/sessions/:id/backups
+// @desc    List stored credential backups of a session
+// @access  Private
+router.get('/sessions/:id/backups', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const backups = await authStore.listBackups(MongoAuthStore.sessionName(session._id));
+
+        res.json({
+            success: true,
+            count: backups.length,
+            data: backups
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/whatsapp/sessions/:id/backup
+// @desc    Snapshot the current session credentials
+// @access  Private
+router.post('/sessions/:id/backup', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const backup = await authStore.backup(MongoAuthStore.sessionName(session._id), req.body.label);
+
+        res.status(201).json({
+            success: true,
+            message: 'Session backed up successfully',
+            data: backup
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/whatsapp/sessions/:id/restore
+// @desc    Restore session credentials from a backup (session is reconnected)
+// @access  Private
+router.post('/sessions/:id/restore', protect, async (req, res) => {
+    try {
+        const { backupId } = req.body;
+
+        if (!backupId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Backup ID required'
+            });
+        }
+
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await whatsappService.disconnect(req.user._id, { sessionId: session._id });
+        const backup = await authStore.restore(MongoAuthStore.sessionName(session._id), backupId);
+        const connection = await whatsappService.connect(req.user._id, { sessionId: session._id });
+
+        res.json({
+            success: true,
+            message: 'Session restored from backup',
+            data: backup,
+            connection
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/whatsapp/connection-events
+// @desc    Connection history of the user's sessions (linked, reconnected, logged_out, banned)
+// @access  Private
+router.get('/connection-events', protect, async (req, res) => {
+    try {
+        const { sessionId, type, page = 1, limit = 50 } = req.query;
+
+        const query = { userId: req.user._id };
+        if (sessionId) query.sessionId = sessionId;
+        if (type) query.type = type;
+
+        const { events, total } = await connectionEventService.list(query, { page, limit });
+
+        res.json({
+            success: true,
+            data: events,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/whatsapp/sessions/:id/events
+// @desc    Server-sent event stream with QR rotations, link status and connection events
+// @access  Private
+router.get('/sessions/:id/events', protect, async (req, res) => {
+    try {
+        const session = await WhatsAppSession.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const sessionId = String(session._id);
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Current state first, then live updates
+        send('status', { sessionId, status: session.status, phoneNumber: session.phoneNumber });
+        const current = await qrService.getQr(session);
+        if (current) send('qr', current);
+
+        const onUpdate = (update) => {
+            if (update.sessionId === sessionId) send(update.state, update);
+        };
+        const onConnection = (event) => {
+            if (String(event.sessionId) === sessionId) send('connection', event);
+        };
+        qrService.on('update', onUpdate);
+        connectionEventService.on('event', onConnection);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            qrService.off('update', onUpdate);
+            connectionEventService.off('event', onConnection);
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
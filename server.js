@@ -11,7 +11,10 @@ const app = express();
 
 // Middleware
 app.use(cors({ origin: process.env.CLIENT_URL || '*', credentials: true }));
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body for webhook signature checks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static('public'));
@@ -74,6 +77,14 @@ mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('✅ MongoDB Connected Successfully!');
         console.log('📊 Database:', mongoose.connection.name);
+
+        // Bring back WhatsApp sessions that were linked before the restart
+        require('./services/whatsappService').supervisor.resumeAll()
+            .catch(err => console.error('❌ WhatsApp session resume error:', err.message));
+
+        // Deliver running campaigns, including ones interrupted by the restart
+        require('./services/campaignEngine').start()
+            .catch(err => console.error('❌ Campaign engine error:', err.message));
     })
     .catch(err => {
         console.error('❌ MongoDB Connection Error:', err.message);
@@ -88,6 +99,10 @@ const orderRoutes = require('./routes/orders');
 const whatsappRoutes = require('./routes/whatsapp');
 const analyticsRoutes = require('./routes/analytics');
 const adminRoutes = require('./routes/admin');
+const conversationRoutes = require('./routes/conversations');
+const groupRoutes = require('./routes/groups');
+const autoReplyRoutes = require('./routes/autoreplies');
+const suppressionRoutes = require('./routes/suppression');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/contacts', contactRoutes);
@@ -96,6 +111,10 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/autoreplies', autoReplyRoutes);
+app.use('/api/suppression', suppressionRoutes);
 
 // Health Check
 app.get('/health', async (req, res) => {
@@ -144,7 +163,11 @@ app.get('/', (req, res) => {
             '/api/contacts - Contact Management',
             '/api/orders - Order Management',
             '/api/analytics - Analytics & Reports',
-            '/api/admin - Admin Panel'
+            '/api/admin - Admin Panel',
+            '/api/conversations - Incoming Messages',
+            '/api/groups - WhatsApp Group Extraction',
+            '/api/autoreplies - Keyword Auto-Replies',
+            '/api/suppression - Opt-Outs & Suppression List'
         ],
         documentation: process.env.CLIENT_URL + '/docs'
     });
@@ -172,7 +195,11 @@ app.use((req, res) => {
             '/api/orders',
             '/api/whatsapp',
             '/api/analytics',
-            '/api/admin'
+            '/api/admin',
+            '/api/conversations',
+            '/api/groups',
+            '/api/autoreplies',
+            '/api/suppression'
         ]
     });
 });
@@ -196,6 +223,10 @@ const server = app.listen(PORT, () => {
     console.log('   /api/orders     - Order Management');
     console.log('   /api/analytics  - Analytics & Reports');
     console.log('   /api/admin      - Admin Panel');
+    console.log('   /api/conversations - Incoming Messages');
+    console.log('   /api/groups     - WhatsApp Groups');
+    console.log('   /api/autoreplies - Auto-Replies');
+    console.log('   /api/suppression - Opt-Outs');
     console.log('============================================================');
 });
 
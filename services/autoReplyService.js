@@ -0,0 +1,146 @@
+/**
+ * Auto-Reply Service
+ * Runs the user's AutoReplyRules against every stored incoming message.
+ * Rules are tried by priority and the first match replies, unless the
+ * contact got the same reply within the cooldown or the rule is outside
+ * its active hours. Every hit is written to AutoReplyLog.
+ */
+
+const inboxService = require('./inboxService');
+const whatsappService = require('./whatsappService');
+const messageService = require('./messageService');
+const optOutService = require('./optOutService');
+const botCommandService = require('./botCommandService');
+const AutoReplyRule = require('../models/AutoReplyRule');
+const AutoReplyLog = require('../models/AutoReplyLog');
+const safeRegex = require('../utils/safeRegex');
+
+class AutoReplyService {
+    constructor() {
+        inboxService.on('message', data => {
+            this.handleMessage(data).catch(error => console.error('Auto-reply error:', error.message));
+        });
+    }
+
+    normalize(text, caseSensitive) {
+        const normalized = String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+        return caseSensitive ? normalized : normalized.toLowerCase();
+    }
+
+    // The keyword that matched, or null
+    match(rule, text) {
+        const body = this.normalize(text, rule.caseSensitive);
+        if (!body) return null;
+
+        return rule.keywords.find(keyword => {
+            if (rule.matchType === 'regex') {
+                // Rules saved before patterns were checked may still hold unsafe ones
+                if (!safeRegex.isSafe(keyword)) return false;
+                try {
+                    return new RegExp(keyword, rule.caseSensitive ? '' : 'i').test(body);
+                } catch (error) {
+                    return false;
+                }
+            }
+
+            const word = this.normalize(keyword, rule.caseSensitive);
+            return rule.matchType === 'exact' ? body === word : body.includes(word);
+        }) || null;
+    }
+
+    // Current HH:mm in the rule's timezone against its window (windows may wrap past midnight)
+    isWithinHours(rule, now = new Date()) {
+        const hours = rule.activeHours;
+        if (!hours?.enabled) return true;
+
+        const time = new Intl.DateTimeFormat('en-GB', {
+            timeZone: hours.timezone || 'Asia/Kolkata',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(now);
+
+        return hours.start <= hours.end
+            ? time >= hours.start && time < hours.end
+            : time >= hours.start || time < hours.end;
+    }
+
+    // First matching rule for a message, with the keyword that hit
+    async findRule(userId, sessionId, text) {
+        const query = { userId, isActive: true, sessionId: null };
+        if (sessionId) {
+            delete query.sessionId;
+            query.$or = [{ sessionId: null }, { sessionId }];
+        }
+
+        const rules = await AutoReplyRule.find(query).sort('-priority createdAt');
+
+        for (const rule of rules) {
+            const keyword = this.match(rule, text);
+            if (keyword !== null) return { rule, keyword };
+        }
+        return null;
+    }
+
+    async handleMessage({ userId, sessionId, conversation, message, contact }) {
+        if (message.direction !== 'inbound' || !message.body) return;
+
+        // Opt-out replies are answered by the opt-out service alone
+        const optOut = await optOutService.getSettings(userId);
+        if (optOut.enabled && optOutService.detect(optOut, message.body)) return;
+
+        // Admin commands are answered by the bot
+        if (await botCommandService.isAdminCommand(message.from, message.body, userId)) return;
+
+        const found = await this.findRule(userId, sessionId, message.body);
+        if (!found) return;
+
+        const { rule, keyword } = found;
+        await AutoReplyRule.updateOne(
+            { _id: rule._id },
+            { $inc: { hitCount: 1 }, lastTriggeredAt: new Date() }
+        );
+
+        const log = {
+            userId,
+            ruleId: rule._id,
+            contactId: contact._id,
+            conversationId: conversation._id,
+            sessionId,
+            phone: contact.phone,
+            incomingText: message.body,
+            keyword
+        };
+
+        if (!this.isWithinHours(rule)) {
+            return AutoReplyLog.create({ ...log, status: 'outside_hours' });
+        }
+
+        const since = new Date(Date.now() - rule.cooldownMinutes * 60 * 1000);
+        if (rule.cooldownMinutes > 0 && await AutoReplyLog.exists({
+            ruleId: rule._id,
+            contactId: contact._id,
+            status: 'sent',
+            createdAt: { $gte: since }
+        })) {
+            return AutoReplyLog.create({ ...log, status: 'cooldown' });
+        }
+
+        const result = await whatsappService.sendMessage(userId, contact.phone, {
+            text: rule.reply.text ? messageService.personalizeMessage(rule.reply.text, contact) : undefined,
+            mediaUrl: rule.reply.mediaUrl,
+            mediaType: rule.reply.mediaType
+        }, { sessionId });
+
+        await AutoReplyLog.create({
+            ...log,
+            status: result.success ? 'sent' : 'failed',
+            messageId: result.messageId,
+            error: result.success ? undefined : result.message
+        });
+
+        console.log(`🤖 Auto-reply "${rule.name}" → ${contact.phone}: ${result.success ? 'sent' : result.message}`);
+    }
+}
+
+module.exports = new AutoReplyService();
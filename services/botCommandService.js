@@ -0,0 +1,300 @@
+/**
+ * Bot Command Service
+ * Lets the admin run the system from WhatsApp. Incoming messages that start
+ * with "/" from ADMIN_NUMBER or an active AdminUser are parsed, executed and
+ * answered in the same chat. Every attempt is logged to BotCommand.
+ *
+ * The sender number alone proves nothing, so commands only count when they
+ * arrive on a session owned by the admin account, through a transport that
+ * authenticates its messages (the web session, or the signed Cloud webhook).
+ *
+ *   /help                          list commands
+ *   /stats                         system totals
+ *   /orders [today|week|pending]   order summary
+ *   /campaign list|status|pause|resume|cancel <id>
+ *   /user info|activate|deactivate <phone|email>
+ *   /admin list|add|remove <phone> [name]   (ADMIN_NUMBER only)
+ */
+
+const mongoose = require('mongoose');
+const whatsappService = require('./whatsappService');
+const campaignEngine = require('./campaignEngine');
+const AdminUser = require('../models/AdminUser');
+const BotCommand = require('../models/BotCommand');
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const phoneUtils = require('../utils/phone');
+
+const IST_OFFSET = 330 * 60 * 1000;
+// Transports whose incoming messages are known to be real (fake / sandbox messages can be made up)
+const AUTHENTICATED_TRANSPORTS = ['web', 'cloud'];
+
+class BotCommandService {
+    constructor() {
+        this.commands = {
+            help: { usage: '/help', description: 'List commands', run: () => this.help() },
+            stats: { usage: '/stats', description: 'System totals', run: () => this.stats() },
+            orders: { usage: '/orders [today|week|pending]', description: 'Order summary', run: args => this.orders(args) },
+            campaign: { usage: '/campaign list|status|pause|resume|cancel <id>', description: 'Manage campaigns', run: (args, ctx) => this.campaign(args, ctx) },
+            user: { usage: '/user info|activate|deactivate <phone|email>', description: 'Manage user accounts', run: args => this.user(args) },
+            admin: { usage: '/admin list|add|remove <phone> [name]', description: 'Manage bot admins', primaryOnly: true, run: (args, ctx) => this.admin(args, ctx) }
+        };
+
+        whatsappService.on('message', data => {
+            this.handleMessage(data).catch(error => console.error('Bot command error:', error.message));
+        });
+    }
+
+    isCommand(text) {
+        return /^\/[a-z]/i.test(String(text || '').trim());
+    }
+
+    // { primary, permissions } for an authorized sender (as WhatsApp reports it), else null
+    async authorize(phone) {
+        const number = phoneUtils.normalize(phone, { international: true });
+        if (!number) return null;
+
+        if (process.env.ADMIN_NUMBER && phoneUtils.normalize(process.env.ADMIN_NUMBER) === number) {
+            return { primary: true, permissions: ['*'] };
+        }
+
+        const admin = await AdminUser.findOne({ whatsappNumber: number, isActive: true }).lean();
+        return admin ? { primary: false, permissions: admin.permissions } : null;
+    }
+
+    // Owner of the receiving session is the admin account (ADMIN_EMAIL, ADMIN_NUMBER or role admin)
+    async isAdminSession(userId) {
+        if (!mongoose.isValidObjectId(userId)) return false;
+
+        const user = await User.findById(userId).select('email phone role').lean();
+        if (!user) return false;
+
+        return (!!process.env.ADMIN_EMAIL && user.email === process.env.ADMIN_EMAIL.toLowerCase()) ||
+            (!!user.phone && user.phone === phoneUtils.normalize(process.env.ADMIN_NUMBER)) ||
+            user.role === 'admin';
+    }
+
+    // True when the message is a command from an authorized admin (other handlers should ignore it)
+    async isAdminCommand(phone, text, userId) {
+        return this.isCommand(text) && await this.isAdminSession(userId) && !!(await this.authorize(phone));
+    }
+
+    parse(text) {
+        const [name, ...parameters] = String(text).trim().slice(1).split(/\s+/);
+        return { command: name.toLowerCase(), parameters };
+    }
+
+    async handleMessage(data) {
+        if (!AUTHENTICATED_TRANSPORTS.includes(data.mode) || data.isGroup || !this.isCommand(data.body)) return;
+
+        // Commands sent to a user's session are that user's chat, not the admin's
+        if (!await this.isAdminSession(data.userId)) return;
+
+        const auth = await this.authorize(data.from);
+        const { command, parameters } = this.parse(data.body);
+        const log = { fromNumber: data.from, command, parameters, sessionId: mongoose.isValidObjectId(data.sessionId) ? data.sessionId : undefined };
+
+        // Strangers typing "/something" get no reply at all
+        if (!auth) {
+            return BotCommand.create({ ...log, status: 'unauthorized' });
+        }
+
+        const definition = this.commands[command];
+        let response;
+        let status = 'executed';
+        let error;
+
+        if (!definition) {
+            status = 'unknown';
+            response = `❓ Unknown command /${command}\n\n${this.help()}`;
+        } else if ((definition.primaryOnly && !auth.primary) ||
+                   (!auth.permissions.includes('*') && !auth.permissions.includes(command))) {
+            status = 'unauthorized';
+            response = `⛔ You are not allowed to use /${command}`;
+        } else {
+            try {
+                response = await definition.run(parameters, { ...auth, from: data.from });
+            } catch (err) {
+                status = 'failed';
+                error = err.message;
+                response = `⚠️ ${err.message}\nUsage: ${definition.usage}`;
+            }
+        }
+
+        const replyTo = phoneUtils.normalize(data.from, { international: true });
+        await whatsappService.sendText(data.userId, replyTo, response, { sessionId: log.sessionId });
+        await BotCommand.create({ ...log, response, status, error });
+
+        console.log(`🤖 Bot command /${command} from ${data.from}: ${status}`);
+    }
+
+    // ---- Commands ----
+
+    help() {
+        return '🤖 *Admin commands*\n\n' + Object.values(this.commands)
+            .map(definition => `${definition.usage}\n   ${definition.description}`)
+            .join('\n');
+    }
+
+    async stats() {
+        const [users, contacts, orders, campaigns, running, sessions, optedOut] = await Promise.all([
+            User.countDocuments(),
+            Contact.countDocuments(),
+            Order.countDocuments(),
+            Campaign.countDocuments(),
+            Campaign.countDocuments({ status: 'running' }),
+            WhatsAppSession.countDocuments({ status: 'ready' }),
+            Contact.countDocuments({ 'engagement.optedOut': true })
+        ]);
+
+        return '📊 *System stats*\n\n' +
+            `👥 Users: ${users}\n` +
+            `📇 Contacts: ${contacts} (${optedOut} opted out)\n` +
+            `📦 Orders: ${orders}\n` +
+            `📢 Campaigns: ${campaigns} (${running} running)\n` +
+            `📱 Sessions online: ${sessions}`;
+    }
+
+    async orders([period = 'today']) {
+        const query = {};
+        const now = new Date();
+
+        if (period === 'today') {
+            // Midnight in India (UTC+5:30)
+            const ist = new Date(now.getTime() + IST_OFFSET);
+            query.createdAt = { $gte: new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET) };
+        } else if (period === 'week') {
+            query.createdAt = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
+        } else if (period === 'pending') {
+            query.orderStatus = 'pending';
+        } else {
+            throw new Error(`Unknown period "${period}"`);
+        }
+
+        const [count, revenue, recent] = await Promise.all([
+            Order.countDocuments(query),
+            Order.aggregate([{ $match: query }, { $group: { _id: null, total: { $sum: '$totalAmount' } } }]),
+            Order.find(query).sort({ createdAt: -1 }).limit(5).select('orderNumber customerName totalAmount orderStatus')
+        ]);
+
+        const lines = recent.map(order => `• ${order.orderNumber} - ${order.customerName} - ₹${order.totalAmount} (${order.orderStatus})`);
+        return `📦 *Orders (${period})*\n\nTotal: ${count}\nAmount: ₹${revenue[0]?.total || 0}` +
+            (lines.length ? `\n\n${lines.join('\n')}` : '');
+    }
+
+    async campaign([action, id], ctx) {
+        if (action === 'list') {
+            const campaigns = await Campaign.find({ status: { $in: ['running', 'paused', 'pending'] } })
+                .sort({ createdAt: -1 })
+                .limit(10)
+                .select('name status stats');
+
+            if (!campaigns.length) return '📢 No active campaigns';
+            return '📢 *Active campaigns*\n\n' + campaigns
+                .map(c => `• ${c.name} [${c.status}] ${c.stats.sentCount}/${c.stats.totalContacts}\n   ${c._id}`)
+                .join('\n');
+        }
+
+        if (!['status', 'pause', 'resume', 'cancel'].includes(action) || !mongoose.isValidObjectId(id)) {
+            throw new Error('Campaign action and ID required');
+        }
+
+        let campaign = await Campaign.findById(id);
+        if (!campaign) {
+            throw new Error('Campaign not found');
+        }
+
+        // The engine stops or restarts the send loop
+        if (action !== 'status') {
+            if (!campaignEngine.canControl(campaign, action)) {
+                throw new Error(`Campaign is ${campaign.status}, can't ${action} it`);
+            }
+            campaign = await campaignEngine.control(campaign._id, action, {
+                phone: phoneUtils.normalize(ctx.from, { international: true }),
+                via: 'whatsapp'
+            });
+            if (!campaign) throw new Error('Campaign status changed, try again');
+        }
+
+        const { stats } = campaign;
+        return `📢 *${campaign.name}*\n\nStatus: ${campaign.status}\n` +
+            `Sent: ${stats.sentCount}/${stats.totalContacts}\nDelivered: ${stats.deliveredCount}\n` +
+            `Read: ${stats.readCount}\nFailed: ${stats.failedCount}`;
+    }
+
+    async findUser(identifier) {
+        if (!identifier) {
+            throw new Error('Phone or email required');
+        }
+
+        if (identifier.includes('@')) {
+            return await User.findOne({ email: identifier.toLowerCase() });
+        }
+
+        const phone = phoneUtils.normalize(identifier);
+        if (!phone) {
+            throw new Error(`Invalid phone number ${identifier}`);
+        }
+        return await User.findOne({ phone });
+    }
+
+    async user([action, identifier]) {
+        if (!['info', 'activate', 'deactivate'].includes(action)) {
+            throw new Error('User action required');
+        }
+
+        const user = await this.findUser(identifier);
+        if (!user) {
+            throw new Error(`No user found for ${identifier}`);
+        }
+
+        if (action !== 'info') {
+            user.isActive = action === 'activate';
+            await user.save();
+        }
+
+        const [contacts, campaigns] = await Promise.all([
+            Contact.countDocuments({ userId: user._id }),
+            Campaign.countDocuments({ userId: user._id })
+        ]);
+
+        return `👤 *${user.name}*\n\n${user.email}${user.phone ? `\n${user.phone}` : ''}\n` +
+            `Status: ${user.isActive === false ? '🔴 inactive' : '🟢 active'}\n` +
+            `Contacts: ${contacts}\nCampaigns: ${campaigns}`;
+    }
+
+    async admin([action, phone, ...name], ctx) {
+        if (action === 'list') {
+            const admins = await AdminUser.find({ isActive: true }).sort('createdAt');
+            if (!admins.length) return '👮 No secondary admins';
+            return '👮 *Secondary admins*\n\n' + admins
+                .map(admin => `• ${admin.name || '-'} ${admin.whatsappNumber} (${admin.permissions.join(', ')})`)
+                .join('\n');
+        }
+
+        const number = phoneUtils.normalize(phone);
+        if (!['add', 'remove'].includes(action) || !number) {
+            throw new Error('Admin action and valid phone number required');
+        }
+
+        if (action === 'add') {
+            await AdminUser.findOneAndUpdate(
+                { whatsappNumber: number },
+                { name: name.join(' ') || undefined, isActive: true, grantedBy: ctx.from },
+                { upsert: true, setDefaultsOnInsert: true }
+            );
+            return `✅ ${number} can now use bot commands`;
+        }
+
+        const removed = await AdminUser.findOneAndUpdate({ whatsappNumber: number }, { isActive: false });
+        if (!removed) {
+            throw new Error(`${number} is not an admin`);
+        }
+        return `✅ ${number} can no longer use bot commands`;
+    }
+}
+
+module.exports = new BotCommandService();
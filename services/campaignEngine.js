@@ -0,0 +1,796 @@
+/**
+ * Campaign Engine
+ * Delivers running campaigns, one worker per campaign across every process
+ * sharing the database. Pending campaigns scheduled for a time that has
+ * passed are launched by the same poll.
+ *
+ * A process takes a campaign by leasing it (execution.workerId / leaseUntil)
+ * and keeps the lease alive while it sends. Recipients are claimed in chunks
+ * (pending -> queued) and each one is marked sending right before the
+ * transport is called, then moved to its result by receiptService.track.
+ *
+ * When a process dies its lease runs out and another process (or the same
+ * one after a restart) picks the campaign up again. Queued recipients were
+ * never attempted and go back to pending. A recipient left in sending may or
+ * may not have reached WhatsApp, so it is failed instead of retried: nobody
+ * gets the same campaign twice.
+ *
+ * Sends are paced by the campaign's antiBan settings: a random delay between
+ * minDelay and maxDelay, a cooldown after every batchSize messages and at most
+ * maxMessagesPerHour. The pacing is rebuilt from stored attempt times, so a
+ * restart doesn't reset it.
+ *
+ * A campaign with dailySplit is cut into day slices when it starts
+ * (scheduleSplits). Each day's slice is only claimed once its startAt has
+ * passed; in between the campaign stays running with its lease released
+ * until the next slice starts.
+ *
+ * Nothing is sent outside the campaign's sending window (utils/sendingWindow.js).
+ * When it closes the worker lets go of the campaign until the window opens
+ * again, and the poll resumes it then.
+ *
+ * Pause and cancel only change the campaign status. The worker checks it
+ * before every recipient, so it stops after the message interval it is in,
+ * putting its unattempted recipients back. Resume picks up from there.
+ *
+ * Emits 'progress' { campaignId, userId, state: 'sending', processed, total }
+ * or { campaignId, userId, state: 'cooldown' | 'waiting', reason: 'batch' | 'hourly_limit' | 'next_day' | 'outside_window', until },
+ * 'status' { campaignId, userId, status, at } on pause / resume / cancel and
+ * 'completed' { campaignId, userId, name, stats, groupStats }.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const messageService = require('./messageService');
+const receiptService = require('./receiptService');
+const optOutService = require('./optOutService');
+const User = require('../models/User');
+const phoneUtils = require('../utils/phone');
+const sendingWindow = require('../utils/sendingWindow');
+const interactive = require('./transports/interactive');
+
+const CHUNK_SIZE = Number(process.env.CAMPAIGN_CHUNK_SIZE || 20);
+const LEASE_MS = Number(process.env.CAMPAIGN_LEASE_MS || 5 * 60 * 1000);
+const POLL_MS = Number(process.env.CAMPAIGN_POLL_MS || 15000);
+// How long a campaign waits before trying again when its session isn't ready
+const RETRY_MS = 60000;
+// Longest sleep between lease renewals (and pause / cancel checks) while waiting
+const WAIT_SLICE = 15000;
+const HOUR = 60 * 60 * 1000;
+
+const INTERRUPTED = 'Interrupted while sending, not retried to avoid a duplicate message';
+
+// Statuses each control can be applied from
+const CONTROLS = {
+    pause: { from: ['running'], to: 'paused', at: 'pausedAt', by: 'pausedBy' },
+    resume: { from: ['paused'], to: 'running', at: 'resumedAt', by: 'resumedBy' },
+    cancel: { from: ['draft', 'pending', 'running', 'paused'], to: 'cancelled', at: 'cancelledAt', by: 'cancelledBy' }
+};
+
+class CampaignEngine extends EventEmitter {
+    constructor() {
+        super();
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.active = new Set();
+        this.timer = null;
+    }
+
+    // Keep picking up running campaigns nobody holds: new ones and ones left behind by a crash
+    start() {
+        if (this.timer) return Promise.resolve();
+
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.error('Campaign engine poll error:', error.message));
+        }, POLL_MS);
+        this.timer.unref();
+
+        console.log(`⚙️  Campaign engine started (${this.workerId})`);
+        return this.poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        const campaigns = await Campaign.find({
+            status: 'running',
+            $or: [
+                { 'execution.leaseUntil': null },
+                { 'execution.leaseUntil': { $lt: new Date() } }
+            ]
+        }).select('_id').lean();
+
+        campaigns.forEach(campaign => this.run(campaign._id));
+
+        // Scheduled campaigns that are due; launch() lets only one worker start each
+        const due = await Campaign.find({
+            status: 'pending',
+            scheduleType: 'scheduled',
+            scheduledAt: { $lte: new Date() }
+        }).select('_id').lean();
+
+        for (const campaign of due) {
+            await this.launch(campaign._id);
+        }
+    }
+
+    // Set a campaign running and start delivering it in the background
+    async launch(campaignId) {
+        const draft = await Campaign.findOne({ _id: campaignId, status: { $in: ['draft', 'pending'] } })
+            .select('userId antiBan dailySplit sendingWindow contacts');
+        if (draft) {
+            await this.prepare(draft);
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: campaignId, status: { $in: ['draft', 'pending'] } },
+            { $set: { status: 'running', startedAt: new Date() } },
+            { new: true }
+        );
+        if (!campaign) return null;
+
+        this.run(campaign._id);
+        return campaign;
+    }
+
+    // Fix the send order and day slices before anything is sent, so a resume keeps them
+    async prepare(campaign) {
+        const shuffle = campaign.antiBan.shuffleRecipients;
+        const split = campaign.dailySplit?.mode ? campaign.dailySplit : null;
+        if (!shuffle && !split) return;
+
+        const contacts = campaign.contacts.map(contact => contact.toObject());
+        if (shuffle) {
+            for (let i = contacts.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [contacts[i], contacts[j]] = [contacts[j], contacts[i]];
+            }
+        }
+        const scheduleSplits = split
+            ? this.buildSplits(contacts, split, new Date(), await this.getWindow(campaign))
+            : [];
+
+        await Campaign.updateOne(
+            { _id: campaign._id, status: { $in: ['draft', 'pending'] } },
+            { $set: { contacts, scheduleSplits } }
+        );
+    }
+
+    // Slice the recipients into days in send order, setting their splitDay. Each slice starts when the
+    // sending window next opens: day 1 from startAt, every later day on a later local date than the one before
+    buildSplits(contacts, split, startAt, window = sendingWindow.DEFAULT_WINDOW) {
+        const perDay = split.mode === 'count'
+            ? split.count
+            : Math.ceil(contacts.length * split.percentage / 100);
+        const splits = [];
+
+        contacts.forEach((contact, index) => {
+            const day = Math.floor(index / perDay) + 1;
+            contact.splitDay = day;
+
+            if (!splits[day - 1]) {
+                const dayStart = day === 1
+                    ? sendingWindow.nextOpen(window, startAt)
+                    : this.nextDayOpen(window, splits[day - 2].startAt);
+                splits.push({
+                    day,
+                    date: sendingWindow.toDateString(dayStart, window.timezone),
+                    startAt: dayStart,
+                    contactCount: 0,
+                    sentCount: 0,
+                    failedCount: 0,
+                    skippedCount: 0,
+                    status: 'pending'
+                });
+            }
+            splits[day - 1].contactCount++;
+        });
+
+        return splits;
+    }
+
+    // When the window opens on the first local day after the one `date` falls on
+    nextDayOpen(window, date) {
+        return sendingWindow.nextOpen(window, sendingWindow.startOfDay(date, 1, window.timezone));
+    }
+
+    // The user's sending window with the campaign's overrides
+    async getWindow(campaign) {
+        const user = await User.findById(campaign.userId).select('whatsapp.sendingWindow').lean();
+        return sendingWindow.resolve(user?.whatsapp?.sendingWindow, campaign.sendingWindow);
+    }
+
+    // Per-day numbers: the stored slice counts plus delivery progress from the recipients
+    scheduleReport(campaign) {
+        return campaign.scheduleSplits.map(split => {
+            const contacts = campaign.contacts.filter(contact => contact.splitDay === split.day);
+            const count = (...statuses) => contacts.filter(contact => statuses.includes(contact.status)).length;
+
+            return {
+                ...split.toObject(),
+                deliveredCount: count('delivered', 'read'),
+                readCount: count('read'),
+                remainingCount: count('pending', 'queued', 'sending')
+            };
+        });
+    }
+
+    canControl(campaign, action) {
+        return CONTROLS[action].from.includes(campaign.status);
+    }
+
+    /**
+     * Pause, resume or cancel. `by` is { userId } or { phone } plus `via`.
+     * Resolves to the updated campaign, or null if its status didn't allow it.
+     */
+    async control(campaignId, action, by) {
+        const { from, to, at, by: byField } = CONTROLS[action];
+        const now = new Date();
+
+        const set = { status: to, [at]: now, [byField]: by };
+        // Days not reached yet are dropped with the campaign
+        if (action === 'cancel') {
+            set['scheduleSplits.$[split].status'] = 'cancelled';
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: campaignId, status: { $in: from } },
+            { $set: set },
+            {
+                new: true,
+                arrayFilters: action === 'cancel' ? [{ 'split.status': { $in: ['pending', 'running'] } }] : undefined
+            }
+        );
+        if (!campaign) return null;
+
+        console.log(`⏯️  Campaign ${campaign.name}: ${to}`);
+        this.emit('status', { campaignId: String(campaign._id), userId: String(campaign.userId), status: to, at: now });
+
+        if (action === 'resume') {
+            this.run(campaign._id);
+        }
+        return campaign;
+    }
+
+    // Deliver one campaign until it is done, stopped or the lease is lost. Never rejects
+    async run(campaignId) {
+        const key = String(campaignId);
+        if (this.active.has(key)) return;
+        this.active.add(key);
+
+        try {
+            const campaign = await this.acquire(campaignId);
+            if (!campaign) return;
+
+            await this.recover(campaign);
+            await this.execute(campaign);
+        } catch (error) {
+            console.error(`Campaign engine error (${key}):`, error.message);
+            await this.release(campaignId, { error: error.message, retryAt: new Date(Date.now() + RETRY_MS) })
+                .catch(() => {});
+        } finally {
+            this.active.delete(key);
+        }
+    }
+
+    // Lease the campaign if it is free, expired or already ours
+    async acquire(campaignId) {
+        const now = new Date();
+        return Campaign.findOneAndUpdate(
+            {
+                _id: campaignId,
+                status: 'running',
+                $or: [
+                    { 'execution.workerId': this.workerId },
+                    { 'execution.leaseUntil': null },
+                    { 'execution.leaseUntil': { $lt: now } }
+                ]
+            },
+            { $set: { ...this.lease(now), 'execution.workerId': this.workerId } },
+            { new: true }
+        );
+    }
+
+    lease(now = new Date()) {
+        return {
+            'execution.leaseUntil': new Date(now.getTime() + LEASE_MS),
+            'execution.heartbeatAt': now
+        };
+    }
+
+    // Only matches while the campaign is still running under our lease
+    owned(campaignId, extra = {}) {
+        return { _id: campaignId, status: 'running', 'execution.workerId': this.workerId, ...extra };
+    }
+
+    // Let go of the campaign. retryAt keeps other workers off it until then
+    async release(campaignId, { error, retryAt } = {}) {
+        const update = retryAt
+            ? { $set: { 'execution.leaseUntil': retryAt }, $unset: { 'execution.workerId': 1 } }
+            : { $unset: { 'execution.workerId': 1, 'execution.leaseUntil': 1 } };
+        if (error) {
+            update.$set = { ...update.$set, 'execution.lastError': error };
+        }
+
+        await Campaign.updateOne({ _id: campaignId, 'execution.workerId': this.workerId }, update);
+    }
+
+    // Clean up after a worker that stopped mid-chunk
+    async recover(campaign) {
+        const queued = campaign.contacts.filter(contact => contact.status === 'queued').length;
+        const interrupted = campaign.contacts.filter(contact => contact.status === 'sending');
+        const sending = interrupted.length;
+        const groups = campaign.groups.filter(group => group.status === 'sending').length;
+        if (!queued && !sending && !groups) return;
+
+        const filter = { _id: campaign._id, 'execution.workerId': this.workerId };
+
+        if (queued) {
+            await Campaign.updateOne(filter, { $set: { 'contacts.$[c].status': 'pending' } }, {
+                arrayFilters: [{ 'c.status': 'queued' }]
+            });
+        }
+        if (sending || groups) {
+            const inc = { 'stats.failedCount': sending, 'groupStats.failedCount': groups };
+            interrupted.filter(contact => contact.splitDay).forEach(contact => {
+                const path = `scheduleSplits.${contact.splitDay - 1}.failedCount`;
+                inc[path] = (inc[path] || 0) + 1;
+            });
+
+            await Campaign.updateOne(
+                filter,
+                {
+                    $set: {
+                        'contacts.$[c].status': 'failed',
+                        'contacts.$[c].error': INTERRUPTED,
+                        'groups.$[g].status': 'failed',
+                        'groups.$[g].error': INTERRUPTED
+                    },
+                    $inc: inc
+                },
+                { arrayFilters: [{ 'c.status': 'sending' }, { 'g.status': 'sending' }] }
+            );
+        }
+        await Campaign.updateOne(filter, { $inc: { 'execution.resumeCount': 1 } });
+
+        console.log(`♻️  Resuming ${campaign.name}: ${queued} requeued, ${sending + groups} interrupted`);
+    }
+
+    async execute(campaign) {
+        const options = this.buildOptions(campaign);
+        const skip = {
+            suppressed: null,
+            verified: campaign.skipUnverified ? await this.verifiedNumbers(campaign.userId) : null
+        };
+        const pacing = this.pacing(campaign);
+        const window = await this.getWindow(campaign);
+        // Saves reject a broken window, this only catches data written around them
+        const windowError = sendingWindow.check(window);
+        if (windowError) {
+            return this.release(campaign._id, { error: `Sending window: ${windowError}`, retryAt: new Date(Date.now() + RETRY_MS) });
+        }
+        // Recovered sending recipients count as done, they were failed
+        let processed = campaign.contacts.filter(contact => !['pending', 'queued'].includes(contact.status)).length;
+
+        for (;;) {
+            const split = await this.openSplits(campaign);
+            if (split && split.startAt > new Date()) {
+                // The current slice hasn't started, the poll picks the campaign up again when it does
+                console.log(`📅 ${campaign.name}: day ${split.day} starts ${split.startAt.toISOString()}`);
+                this.emit('progress', {
+                    campaignId: String(campaign._id),
+                    userId: String(campaign.userId),
+                    state: 'waiting',
+                    reason: 'next_day',
+                    until: split.startAt
+                });
+                return this.release(campaign._id, { retryAt: split.startAt });
+            }
+
+            const chunk = await this.claimChunk(campaign._id, split?.day);
+            if (!chunk) return this.release(campaign._id);
+
+            if (!chunk.length) {
+                if (!split) break;
+                await this.closeSplits(campaign, split, window);
+                continue;
+            }
+
+            // Reloaded per chunk, so a STOP received mid-campaign is honoured within one chunk
+            skip.suppressed = await optOutService.getSuppressed(campaign.userId);
+
+            for (const contact of chunk) {
+                const error = this.skipReason(contact, skip);
+                let outcome = 'skipped';
+
+                if (error) {
+                    await receiptService.track(campaign._id, contact._id, { status: 'skipped', error, timestamp: new Date() }, contact.splitDay);
+                } else if (!await this.pace(campaign, pacing)) {
+                    outcome = 'stopped';
+                } else if (!sendingWindow.isOpen(window)) {
+                    // Checked right before every send, so waits and retries can't spill into quiet hours
+                    outcome = 'closed';
+                } else {
+                    outcome = await this.deliver(campaign, contact, options, pacing);
+                }
+
+                if (outcome === 'closed') {
+                    await this.requeue(campaign._id);
+                    return this.waitForWindow(campaign, window);
+                }
+
+                if (outcome === 'stopped' || outcome === 'waiting') {
+                    await this.requeue(campaign._id);
+                    return this.release(campaign._id, outcome === 'waiting'
+                        ? { error: 'WhatsApp session is not ready', retryAt: new Date(Date.now() + RETRY_MS) }
+                        : {});
+                }
+
+                processed++;
+                this.emit('progress', {
+                    campaignId: String(campaign._id),
+                    userId: String(campaign.userId),
+                    state: 'sending',
+                    processed,
+                    total: campaign.stats.totalContacts
+                });
+            }
+        }
+
+        if (!await this.postToGroups(campaign, options, window)) return;
+        await this.complete(campaign);
+    }
+
+    // Anti-ban bookkeeping, rebuilt from the stored campaign so it carries over a restart
+    pacing(campaign) {
+        const hourAgo = Date.now() - HOUR;
+        const attempts = campaign.contacts
+            .map(contact => contact.attemptedAt?.getTime())
+            .filter(at => at > hourAgo)
+            .sort((a, b) => a - b);
+
+        return {
+            attempts,
+            lastAt: attempts[attempts.length - 1] || 0,
+            batchSent: campaign.execution?.batchSent || 0,
+            cooldownUntil: campaign.execution?.cooldownUntil?.getTime() || 0,
+        };
+    }
+
+    // Wait as long as the anti-ban settings require before the next send. Resolves to false if the run was stopped
+    async pace(campaign, pacing) {
+        const { antiBan } = campaign;
+        const now = Date.now();
+        pacing.attempts = pacing.attempts.filter(at => at > now - HOUR);
+
+        if (pacing.cooldownUntil > now) {
+            return this.cooldown(campaign, 'batch', pacing.cooldownUntil);
+        }
+        if (pacing.attempts.length >= antiBan.maxMessagesPerHour) {
+            return this.cooldown(campaign, 'hourly_limit', pacing.attempts[0] + HOUR);
+        }
+
+        const delay = pacing.lastAt + messageService.calculateDelay(antiBan) - now;
+        if (delay <= 0) return true;
+
+        console.log(`⏳ Waiting ${delay}ms...`);
+        return this.wait(campaign._id, delay);
+    }
+
+    async cooldown(campaign, reason, until) {
+        console.log(`🧊 ${campaign.name}: cooling down (${reason}) until ${new Date(until).toISOString()}`);
+        this.emit('progress', {
+            campaignId: String(campaign._id),
+            userId: String(campaign.userId),
+            state: 'cooldown',
+            reason,
+            until: new Date(until)
+        });
+        return this.wait(campaign._id, until - Date.now());
+    }
+
+    // Sleep in slices, keeping the lease. Resolves to false once the campaign is paused, cancelled or taken over
+    async wait(campaignId, ms) {
+        const until = Date.now() + ms;
+
+        while (Date.now() < until) {
+            await messageService.sleep(Math.min(until - Date.now(), WAIT_SLICE));
+
+            const renewed = await Campaign.updateOne(this.owned(campaignId), { $set: this.lease() });
+            if (!renewed.matchedCount) return false;
+        }
+        return true;
+    }
+
+    // The first day slice not yet done, marked running once it has started. Null when the campaign isn't split
+    // (or every slice is done). Slices run one after another, a later one never starts before the earlier is completed
+    async openSplits(campaign) {
+        const split = (campaign.scheduleSplits || []).find(split => ['pending', 'running'].includes(split.status));
+        if (!split) return null;
+
+        const now = new Date();
+        if (split.status === 'pending' && split.startAt <= now) {
+            const index = campaign.scheduleSplits.indexOf(split);
+            await Campaign.updateOne(this.owned(campaign._id), {
+                $set: { [`scheduleSplits.${index}.status`]: 'running', [`scheduleSplits.${index}.startedAt`]: now }
+            });
+            split.status = 'running';
+            split.startedAt = now;
+        }
+
+        return split;
+    }
+
+    // Every recipient of `split` is done: complete it and move later slices that would now share a day
+    // with it (it overran, or was held up by a pause) to the following days
+    async closeSplits(campaign, split, window) {
+        const now = new Date();
+        const set = {};
+        const index = campaign.scheduleSplits.indexOf(split);
+        set[`scheduleSplits.${index}.status`] = 'completed';
+        set[`scheduleSplits.${index}.completedAt`] = now;
+
+        let earliest = this.nextDayOpen(window, now);
+        campaign.scheduleSplits.slice(index + 1).forEach((next, offset) => {
+            if (next.status !== 'pending') return;
+            if (next.startAt < earliest) {
+                const at = index + 1 + offset;
+                next.startAt = earliest;
+                next.date = sendingWindow.toDateString(earliest, window.timezone);
+                set[`scheduleSplits.${at}.startAt`] = next.startAt;
+                set[`scheduleSplits.${at}.date`] = next.date;
+            }
+            earliest = this.nextDayOpen(window, next.startAt);
+        });
+
+        await Campaign.updateOne(this.owned(campaign._id), { $set: set });
+        split.status = 'completed';
+        split.completedAt = now;
+    }
+
+    // Claim the next pending recipients (of day slice `day` only). Resolves to [] when none are left, null when the lease is gone
+    async claimChunk(campaignId, day = null) {
+        const pending = day == null
+            ? { $eq: ['$$this.status', 'pending'] }
+            : { $and: [{ $eq: ['$$this.status', 'pending'] }, { $eq: ['$$this.splitDay', day] }] };
+
+        const [campaign] = await Campaign.aggregate([
+            { $match: { _id: new mongoose.Types.ObjectId(String(campaignId)) } },
+            {
+                $project: {
+                    contacts: {
+                        $slice: [{ $filter: { input: '$contacts', cond: pending } }, CHUNK_SIZE]
+                    }
+                }
+            }
+        ]);
+        const contacts = campaign?.contacts || [];
+        const now = new Date();
+
+        const claimed = await Campaign.updateOne(
+            this.owned(campaignId),
+            { $set: { ...this.lease(now), 'contacts.$[c].status': 'queued', 'contacts.$[c].claimedAt': now } },
+            { arrayFilters: [{ 'c._id': { $in: contacts.map(contact => contact._id) }, 'c.status': 'pending' }] }
+        );
+
+        return claimed.matchedCount ? contacts : null;
+    }
+
+    // Send to one claimed recipient. Resolves to its status, or 'stopped' / 'waiting'
+    async deliver(campaign, contact, options, pacing) {
+        // Checkpoint before the transport is called, a crash after this point fails the recipient
+        const now = new Date();
+        const marked = await Campaign.updateOne(
+            this.owned(campaign._id, { contacts: { $elemMatch: { _id: contact._id, status: 'queued' } } }),
+            {
+                $set: {
+                    ...this.lease(now),
+                    'execution.checkpointAt': now,
+                    'contacts.$.status': 'sending',
+                    'contacts.$.attemptedAt': now
+                },
+                $inc: { 'execution.attemptedCount': 1, 'execution.batchSent': 1 }
+            }
+        );
+        if (!marked.modifiedCount) return 'stopped';
+
+        let result;
+        try {
+            result = await messageService.sendToContact(campaign.userId, contact, campaign.message.text, options);
+        } catch (sendError) {
+            console.error(`Error sending to ${contact.phone}:`, sendError.message);
+            result = { phone: contact.phone, status: 'failed', error: sendError.message, timestamp: new Date() };
+        }
+
+        // Refused before reaching the transport, so it is safe to send later
+        if (result.reason === 'session_not_ready') {
+            await Campaign.updateOne(
+                { _id: campaign._id, contacts: { $elemMatch: { _id: contact._id, status: 'sending' } } },
+                { $set: { 'contacts.$.status': 'queued' }, $inc: { 'execution.attemptedCount': -1, 'execution.batchSent': -1 } }
+            );
+            return 'waiting';
+        }
+
+        await receiptService.track(campaign._id, contact._id, result, contact.splitDay);
+        await this.countAttempt(campaign, pacing, now);
+        return result.status;
+    }
+
+    // A full batch starts the cooldown, stored so a restart still honours it
+    async countAttempt(campaign, pacing, at) {
+        pacing.attempts.push(at.getTime());
+        pacing.lastAt = at.getTime();
+        pacing.batchSent++;
+        if (pacing.batchSent < campaign.antiBan.batchSize) return;
+
+        pacing.batchSent = 0;
+        pacing.cooldownUntil = Date.now() + campaign.antiBan.cooldownPeriod;
+        await Campaign.updateOne(this.owned(campaign._id), {
+            $set: { 'execution.batchSent': 0, 'execution.cooldownUntil': new Date(pacing.cooldownUntil) }
+        });
+    }
+
+    skipReason(contact, { suppressed, verified }) {
+        if (optOutService.isSuppressed(suppressed, contact.phone)) {
+            return 'Contact has opted out';
+        }
+        if (verified && !verified.has(phoneUtils.normalize(contact.phone))) {
+            return 'Number not verified on WhatsApp';
+        }
+        return null;
+    }
+
+    // Numbers the number check has confirmed are on WhatsApp
+    async verifiedNumbers(userId) {
+        const verified = await Contact.find({
+            userId,
+            'whatsapp.isWhatsApp': true,
+            'whatsapp.verifiedAt': { $ne: null }
+        }).select('phone whatsapp.number').lean();
+
+        const numbers = new Set();
+        verified.forEach(contact => {
+            numbers.add(phoneUtils.normalize(contact.phone));
+            numbers.add(phoneUtils.normalize(contact.whatsapp?.number, { international: true }));
+        });
+        numbers.delete(null);
+        return numbers;
+    }
+
+    // Put claimed but unattempted recipients back
+    async requeue(campaignId) {
+        await Campaign.updateOne(
+            { _id: campaignId, 'execution.workerId': this.workerId },
+            { $set: { 'contacts.$[c].status': 'pending' } },
+            { arrayFilters: [{ 'c.status': 'queued' }] }
+        );
+    }
+
+    // Outside the sending window: let go until it opens again, the poll resumes the campaign then
+    async waitForWindow(campaign, window) {
+        const opens = sendingWindow.nextOpen(window);
+        console.log(`🌙 ${campaign.name}: outside the sending window, resuming ${opens.toISOString()}`);
+        this.emit('progress', {
+            campaignId: String(campaign._id),
+            userId: String(campaign.userId),
+            state: 'waiting',
+            reason: 'outside_window',
+            until: opens
+        });
+        return this.release(campaign._id, { retryAt: opens });
+    }
+
+    // Post to the campaign's groups. Resolves to false when the run was stopped
+    async postToGroups(campaign, options, window) {
+        const { groups = [] } = await Campaign.findById(campaign._id).select('groups').lean() || {};
+        const pending = groups.filter(group => group.status === 'pending');
+
+        for (let i = 0; i < pending.length; i++) {
+            const group = pending[i];
+            if (!sendingWindow.isOpen(window)) {
+                await this.waitForWindow(campaign, window);
+                return false;
+            }
+
+            const marked = await Campaign.updateOne(
+                this.owned(campaign._id, { groups: { $elemMatch: { _id: group._id, status: 'pending' } } }),
+                { $set: { ...this.lease(), 'groups.$.status': 'sending' } }
+            );
+            if (!marked.modifiedCount) {
+                await this.release(campaign._id);
+                return false;
+            }
+
+            await messageService.sendGroupMessages(campaign.userId, [group], campaign.message.text, {
+                ...options,
+                mentionAll: campaign.groupSettings.mentionAll,
+                onResult: (target, result) => Campaign.updateOne(
+                    { _id: campaign._id, groups: { $elemMatch: { _id: target._id, status: 'sending' } } },
+                    {
+                        $set: {
+                            'groups.$.status': result.status,
+                            'groups.$.messageId': result.messageId,
+                            'groups.$.sentAt': result.status === 'sent' ? result.timestamp : undefined,
+                            'groups.$.error': result.error
+                        },
+                        $inc: { [`groupStats.${result.status === 'sent' ? 'sentCount' : 'failedCount'}`]: 1 }
+                    }
+                )
+            });
+
+            // A pause or cancel during the post stops before the next one
+            const renewed = await Campaign.updateOne(this.owned(campaign._id), { $set: this.lease() });
+            if (!renewed.matchedCount) {
+                await this.release(campaign._id);
+                return false;
+            }
+
+            // Group posts reach many people at once, space them further apart
+            if (i < pending.length - 1) {
+                const delay = (campaign.groupSettings.delayBetweenPosts || 60000) + Math.floor(Math.random() * 5000);
+                console.log(`⏳ Waiting ${delay}ms before next group post...`);
+                if (!await this.wait(campaign._id, delay)) {
+                    await this.release(campaign._id);
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    async complete(campaign) {
+        const done = await Campaign.findOneAndUpdate(
+            this.owned(campaign._id),
+            {
+                $set: { status: 'completed', completedAt: new Date() },
+                $unset: { 'execution.workerId': 1, 'execution.leaseUntil': 1 }
+            },
+            { new: true, projection: { name: 1, userId: 1, stats: 1, groupStats: 1 } }
+        );
+        if (!done) return this.release(campaign._id);
+
+        const { stats } = done;
+        stats.successRate = stats.totalContacts > 0
+            ? ((stats.sentCount / stats.totalContacts) * 100).toFixed(2)
+            : 0;
+        await Campaign.updateOne({ _id: done._id }, { 'stats.successRate': stats.successRate });
+
+        console.log(`✅ Campaign completed: ${done.name}`);
+        this.emit('completed', {
+            campaignId: String(done._id),
+            userId: String(done.userId),
+            name: done.name,
+            stats,
+            groupStats: done.groupStats
+        });
+    }
+
+    buildOptions(campaign) {
+        const { message } = campaign;
+        // Campaigns saved before link buttons were converted on create still carry them in message.buttons
+        const buttons = !message.interactive && message.text && message.buttons?.length
+            ? interactive.normalize(message.buttons.map(button => ({ text: button.text, url: button.url })), message.text)
+            : undefined;
+
+        return {
+            mediaUrl: message.mediaUrl,
+            mediaType: message.mediaType,
+            interactive: message.interactive || buttons,
+            location: message.location?.latitude != null ? message.location.toObject() : undefined,
+            contactCard: message.contactCard?.name ? message.contactCard.toObject() : undefined,
+            stickerUrl: message.stickerUrl,
+            mode: campaign.sandbox ? 'sandbox' : undefined,
+            sessionId: campaign.sessionId,
+            campaignId: campaign._id
+        };
+    }
+}
+
+module.exports = new CampaignEngine();
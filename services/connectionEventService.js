@@ -0,0 +1,139 @@
+/**
+ * Connection Event Service
+ * Turns the supervisor's session state changes into a connection feed per
+ * session (ConnectionEvent): linked, reconnected, logged_out, banned.
+ * Emits 'event' with every stored event.
+ *
+ * The admin is alerted when a user links WhatsApp for the first time and
+ * when a number gets banned. Alerts are keyed in notificationService, so a
+ * restart replaying the same state never sends them twice.
+ */
+
+const EventEmitter = require('events');
+const whatsappService = require('./whatsappService');
+const notificationService = require('./notificationService');
+const ConnectionEvent = require('../models/ConnectionEvent');
+const User = require('../models/User');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const phoneUtils = require('../utils/phone');
+
+class ConnectionEventService extends EventEmitter {
+    constructor() {
+        super();
+
+        whatsappService.on('session_state', data => {
+            this.handleState(data).catch(error => console.error('Connection event error:', error.message));
+        });
+    }
+
+    async handleState(data) {
+        const { previous } = data;
+
+        if (data.state === 'ready') {
+            // The first ready after a QR / pairing-code link claims linkedAt, later ones are reconnects
+            const claimed = await WhatsAppSession.updateOne(
+                { _id: data.sessionId, linkedAt: null },
+                { linkedAt: data.at }
+            );
+
+            if (claimed.modifiedCount === 0) {
+                return this.record(data, 'reconnected');
+            }
+
+            await this.record(data, 'linked');
+            return this.notifyFirstLink(data);
+        }
+
+        if (['logged_out', 'banned'].includes(data.state) && previous.status !== data.state) {
+            await WhatsAppSession.updateOne({ _id: data.sessionId }, { $unset: { linkedAt: 1 } });
+            await this.record(data, data.state);
+
+            if (data.state === 'banned') {
+                return this.notifyBan(data);
+            }
+        }
+    }
+
+    async record(data, type) {
+        const event = await ConnectionEvent.create({
+            userId: data.userId,
+            sessionId: data.sessionId,
+            type,
+            phoneNumber: data.phoneNumber,
+            reason: data.reason,
+            previousState: data.previous.status,
+            createdAt: data.at
+        });
+
+        this.emit('event', event.toObject());
+        console.log(`📶 Session ${data.previous.name || data.sessionId}: ${type}${data.reason ? ` (${data.reason})` : ''}`);
+        return event;
+    }
+
+    // Only the user's very first link: no session of theirs has ever connected before
+    async notifyFirstLink(data) {
+        if (data.previous.lastConnected) return;
+
+        const connectedBefore = await WhatsAppSession.exists({
+            userId: data.userId,
+            _id: { $ne: data.sessionId },
+            lastConnected: { $ne: null }
+        });
+        if (connectedBefore) return;
+
+        const user = await User.findById(data.userId).select('name email');
+        await notificationService.notifyAdmin(`first_link:${data.userId}`, {
+            type: 'first_link',
+            userId: data.userId,
+            sessionId: data.sessionId,
+            subject: `New WhatsApp link: ${user?.name || data.userId}`,
+            message: '🎉 *New WhatsApp link*\n\n' + this.describe(user, data),
+            // Sent from the session that was just linked
+            via: { userId: data.userId, sessionId: data.sessionId }
+        });
+    }
+
+    // One alert per link: a relinked number that gets banned again alerts again
+    async notifyBan(data) {
+        const linkedAt = data.previous.linkedAt ? new Date(data.previous.linkedAt).getTime() : 'unlinked';
+        const user = await User.findById(data.userId).select('name email');
+
+        // The banned session can't send, so WhatsApp goes out from the admin's own account
+        const admin = process.env.ADMIN_EMAIL
+            ? await User.findOne({ email: process.env.ADMIN_EMAIL.toLowerCase() }).select('_id')
+            : null;
+
+        await notificationService.notifyAdmin(`banned:${data.sessionId}:${linkedAt}`, {
+            type: 'banned',
+            userId: data.userId,
+            sessionId: data.sessionId,
+            subject: `WhatsApp number banned: ${user?.name || data.userId}`,
+            message: '🚫 *WhatsApp number banned*\n\n' + this.describe(user, data) + `\n⚠️ Reason: ${data.reason}`,
+            via: admin ? { userId: admin._id } : null
+        });
+    }
+
+    describe(user, data) {
+        const number = phoneUtils.normalize(data.phoneNumber, { international: true }) || data.phoneNumber || 'unknown';
+        return `👤 ${user?.name || 'Unknown user'}${user?.email ? ` (${user.email})` : ''}\n` +
+            `📱 ${number}\n` +
+            `🔗 Session: ${data.previous.name || data.sessionId}\n` +
+            `🕐 ${new Date(data.at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`;
+    }
+
+    // Feed for a user's sessions (or every user's, for admins), newest first
+    async list(query, { page = 1, limit = 50 } = {}) {
+        const [events, total] = await Promise.all([
+            ConnectionEvent.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit))
+                .populate('sessionId', 'name phoneNumber')
+                .lean(),
+            ConnectionEvent.countDocuments(query)
+        ]);
+        return { events, total };
+    }
+}
+
+module.exports = new ConnectionEventService();
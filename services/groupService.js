@@ -0,0 +1,137 @@
+/**
+ * Group Service
+ * Extracts WhatsApp groups and their members from a connected session and
+ * imports selected members as contacts. Extracted groups are kept in the
+ * WhatsAppGroup collection (the old `groups` / `group_contacts` tables).
+ */
+
+const whatsappService = require('./whatsappService');
+const Contact = require('../models/Contact');
+const WhatsAppGroup = require('../models/WhatsAppGroup');
+const phoneUtils = require('../utils/phone');
+
+class GroupService {
+    // Fetch the session's groups and store them
+    async syncGroups(userId, sessionId) {
+        const result = await whatsappService.getGroups(userId, { sessionId });
+        if (!result.success) {
+            return result;
+        }
+
+        const session = await whatsappService.getSession(userId, sessionId);
+        const groups = [];
+
+        for (const group of result.groups) {
+            groups.push(await WhatsAppGroup.findOneAndUpdate(
+                { userId, groupJid: group.id },
+                {
+                    sessionId: session?._id,
+                    name: group.name,
+                    participantCount: group.participantCount,
+                    isAdmin: group.isAdmin,
+                    updatedAt: new Date()
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ));
+        }
+
+        return { success: true, groups };
+    }
+
+    // Fetch and store the members of one group
+    async syncParticipants(userId, group) {
+        const result = await whatsappService.getGroupParticipants(userId, group.groupJid, {
+            sessionId: group.sessionId
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        if (result.name) group.name = result.name;
+        group.participants = result.participants;
+        group.participantCount = result.participants.length + (result.hidden || 0);
+        group.hiddenParticipants = result.hidden || 0;
+        group.extractedAt = new Date();
+        await group.save();
+
+        return { success: true, group };
+    }
+
+    // Turn selected members into contacts: new numbers are created, known ones get the group added
+    async importParticipants(userId, group, options = {}) {
+        const { phones, adminsOnly = false, tags = [] } = options;
+        const session = group.sessionId ? await whatsappService.getSession(userId, group.sessionId).catch(() => null) : null;
+        const own = session?.phoneNumber;
+
+        // Participant numbers come from WhatsApp, so they always carry the country code
+        const toE164 = phone => phoneUtils.normalize(phone, { international: true });
+        const wanted = new Set((phones || []).map(phone => phoneUtils.normalize(phone)));
+
+        const selected = group.participants.filter(participant => {
+            if (participant.phone === own || !toE164(participant.phone)) return false;
+            if (adminsOnly && !participant.isAdmin) return false;
+            return !wanted.size || wanted.has(toE164(participant.phone));
+        });
+
+        const numbers = selected.map(participant => toE164(participant.phone));
+        const existing = await Contact.find({
+            userId,
+            $or: [
+                { phone: { $in: numbers } },
+                { 'whatsapp.number': { $in: numbers.map(number => number.slice(1)) } }
+            ]
+        }).select('phone whatsapp.number');
+
+        const known = new Map();
+        existing.forEach(contact => {
+            known.set(contact.phone, contact._id);
+            if (contact.whatsapp?.number) known.set(toE164(contact.whatsapp.number), contact._id);
+        });
+
+        const groupName = group.name || group.groupJid;
+        const updates = [];
+        const created = [];
+
+        selected.forEach(participant => {
+            const phone = toE164(participant.phone);
+            const contactId = known.get(phone);
+            if (contactId) {
+                updates.push(contactId);
+                return;
+            }
+
+            known.set(phone, true);
+            created.push({
+                userId,
+                name: participant.name || phone,
+                phone,
+                whatsapp: { number: participant.phone, isWhatsApp: true, verifiedAt: new Date() },
+                groups: [groupName],
+                tags,
+                source: 'whatsapp'
+            });
+        });
+
+        if (updates.length > 0) {
+            await Contact.updateMany(
+                { _id: { $in: updates } },
+                { $addToSet: { groups: groupName, tags: { $each: tags } }, updatedAt: new Date() }
+            );
+        }
+
+        if (created.length > 0) {
+            await Contact.insertMany(created, { ordered: false });
+        }
+
+        console.log(`👥 Imported ${created.length} new and ${updates.length} existing contacts from ${groupName}`);
+
+        return {
+            success: true,
+            imported: created.length,
+            updated: updates.length,
+            skipped: group.participants.length - selected.length
+        };
+    }
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,122 @@
+/**
+ * Inbox Service
+ * Listens to incoming WhatsApp messages on every session and stores them as
+ * Conversation/Message documents linked to the sender's Contact. Unknown
+ * senders become new contacts with source 'whatsapp'.
+ *
+ * Emits 'message' with { userId, conversation, message, contact } after a
+ * message is stored, so other features can react to replies.
+ */
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const whatsappService = require('./whatsappService');
+const Contact = require('../models/Contact');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const phoneUtils = require('../utils/phone');
+
+class InboxService extends EventEmitter {
+    constructor() {
+        super();
+
+        whatsappService.on('message', data => {
+            this.ingest(data).catch(error => console.error('Inbox ingest error:', error.message));
+        });
+    }
+
+    // Find the sender (as WhatsApp reports the number) among the user's contacts, or create them
+    async findOrCreateContact(userId, from, name) {
+        const phone = phoneUtils.normalize(from, { international: true });
+        if (!phone) {
+            throw new Error(`Invalid sender number ${from}`);
+        }
+
+        const contact = await Contact.findOne({
+            userId,
+            $or: [
+                { phone },
+                { 'whatsapp.number': phone.slice(1) }
+            ]
+        });
+        if (contact) return contact;
+
+        return await Contact.create({
+            userId,
+            name: name || phone,
+            phone,
+            whatsapp: { number: phone.slice(1), isWhatsApp: true },
+            source: 'whatsapp'
+        });
+    }
+
+    // Store one incoming message
+    async ingest(data) {
+        if (data.mode === 'sandbox' || data.isGroup || !data.from || !mongoose.isValidObjectId(data.userId)) {
+            return;
+        }
+
+        const userId = data.userId;
+        const sessionId = mongoose.isValidObjectId(data.sessionId) ? data.sessionId : undefined;
+
+        // Transports may redeliver after a reconnect
+        if (data.messageId && await Message.exists({ userId, messageId: data.messageId })) {
+            return;
+        }
+
+        const contact = await this.findOrCreateContact(userId, data.from, data.name);
+        const timestamp = data.timestamp || new Date();
+
+        const conversation = await Conversation.findOneAndUpdate(
+            { userId, contactId: contact._id },
+            {
+                $set: {
+                    phone: contact.phone,
+                    sessionId,
+                    lastMessage: { body: data.body, type: data.type, direction: 'inbound' },
+                    lastMessageAt: timestamp,
+                    isArchived: false,
+                    updatedAt: new Date()
+                },
+                $inc: { unreadCount: 1, totalMessages: 1 }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        const message = await Message.create({
+            userId,
+            conversationId: conversation._id,
+            contactId: contact._id,
+            sessionId,
+            messageId: data.messageId,
+            direction: 'inbound',
+            from: data.from,
+            type: data.type || 'text',
+            body: data.body,
+            hasMedia: !!data.hasMedia,
+            transport: data.mode,
+            timestamp
+        });
+
+        this.emit('message', { userId, sessionId, conversation, message, contact });
+        return message;
+    }
+
+    // Mark every unread message of a conversation as read
+    async markRead(userId, conversationId) {
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: conversationId, userId },
+            { unreadCount: 0 },
+            { new: true }
+        );
+        if (!conversation) return null;
+
+        await Message.updateMany(
+            { conversationId, direction: 'inbound', readAt: null },
+            { readAt: new Date() }
+        );
+        return conversation;
+    }
+}
+
+module.exports = new InboxService();
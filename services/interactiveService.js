@@ -0,0 +1,141 @@
+/**
+ * Interactive Service
+ * Records answers to interactive campaign messages (buttons, lists, polls)
+ * on the recipient as contacts[].response.
+ *
+ * Native replies name the message they answer (contextId) and the option
+ * picked. Replies to the text fallback ("2", "1,3" or an option title) are
+ * matched against the latest unanswered interactive campaign the number
+ * received in the last RESPONSE_WINDOW.
+ */
+
+const EventEmitter = require('events');
+const whatsappService = require('./whatsappService');
+const interactive = require('./transports/interactive');
+const Campaign = require('../models/Campaign');
+const phoneUtils = require('../utils/phone');
+
+const RESPONSE_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+class InteractiveService extends EventEmitter {
+    constructor() {
+        super();
+
+        whatsappService.on('message', data => {
+            this.handleMessage(data).catch(error => console.error('Interactive reply error:', error.message));
+        });
+    }
+
+    // { campaign, recipient } the reply belongs to, or null
+    async findRecipient(data) {
+        const projection = { userId: 1, message: 1 };
+
+        if (data.contextId) {
+            const campaign = await Campaign.findOne(
+                { 'contacts.messageId': data.contextId, 'message.interactive': { $ne: null } },
+                { ...projection, contacts: { $elemMatch: { messageId: data.contextId } } }
+            );
+            if (campaign) return { campaign, recipient: campaign.contacts[0] };
+        }
+
+        // Text fallback answers only count once, so later chat isn't taken as a new answer
+        const awaiting = {
+            phone: phoneUtils.normalize(data.from, { international: true }),
+            status: { $in: ['sent', 'delivered', 'read'] },
+            sentAt: { $gte: new Date(Date.now() - RESPONSE_WINDOW) },
+            'response.respondedAt': { $exists: false }
+        };
+
+        const campaign = await Campaign.findOne(
+            { userId: data.userId, 'message.interactive': { $ne: null }, contacts: { $elemMatch: awaiting } },
+            { ...projection, contacts: { $elemMatch: awaiting } }
+        ).sort({ startedAt: -1 });
+
+        return campaign ? { campaign, recipient: campaign.contacts[0] } : null;
+    }
+
+    // Options picked by a reply: structured (button / list / poll vote) or the text fallback
+    pick(payload, data) {
+        const all = interactive.options(payload);
+
+        if (data.reply?.selections) {
+            const picked = all.filter(option => data.reply.selections.includes(option.title));
+            return picked.length ? picked : null;
+        }
+
+        if (data.reply?.id) {
+            const option = all.find(entry => entry.id === data.reply.id) ||
+                all.find(entry => entry.title === data.reply.title);
+            return [option || { id: data.reply.id, title: data.reply.title }];
+        }
+
+        return interactive.matchReply(payload, data.body);
+    }
+
+    async handleMessage(data) {
+        if (data.isGroup || (!data.body && !data.reply)) return;
+
+        const found = await this.findRecipient(data);
+        if (!found) return;
+
+        const { campaign, recipient } = found;
+
+        let payload;
+        try {
+            payload = interactive.normalize(campaign.message.interactive, campaign.message.text);
+        } catch (error) {
+            return;
+        }
+
+        const picked = this.pick(payload, data);
+        if (!picked) return;
+
+        const response = {
+            optionId: picked[0].id,
+            title: picked.map(option => option.title).join(', '),
+            selections: picked.map(option => option.id),
+            type: data.reply ? data.type || 'reply' : 'text',
+            raw: data.body,
+            respondedAt: new Date()
+        };
+
+        const update = { $set: { 'contacts.$.response': response } };
+        if (!recipient.response?.respondedAt) {
+            update.$inc = { 'stats.respondedCount': 1 };
+        }
+        await Campaign.updateOne({ _id: campaign._id, 'contacts._id': recipient._id }, update);
+
+        this.emit('response', {
+            campaignId: String(campaign._id),
+            userId: String(campaign.userId),
+            contactId: String(recipient._id),
+            phone: recipient.phone,
+            response
+        });
+
+        console.log(`🗳️ Campaign ${campaign._id}: ${recipient.phone} answered "${response.title}"`);
+    }
+
+    // Count of answers per option for a campaign
+    summarize(campaign) {
+        let payload;
+        try {
+            payload = interactive.normalize(campaign.message.interactive, campaign.message.text);
+        } catch (error) {
+            return null;
+        }
+
+        const answered = campaign.contacts.filter(contact => contact.response?.respondedAt);
+        return {
+            type: payload.type,
+            responded: answered.length,
+            options: interactive.options(payload).map(option => ({
+                id: option.id,
+                title: option.title,
+                count: answered.filter(contact => contact.response.selections.includes(option.id)).length
+            }))
+        };
+    }
+}
+
+module.exports = new InteractiveService();
@@ -1,38 +1,40 @@
 const whatsappService = require('./whatsappService');
+const optOutService = require('./optOutService');
+const vcard = require('./transports/vcard');
+const Contact = require('../models/Contact');
 
 class MessageService {
     // Send bulk messages with progress tracking
-    async sendBulkMessages(contacts, message, options = {}) {
+    async sendBulkMessages(userId, contacts, message, options = {}) {
         const results = [];
         const total = contacts.length;
         let sent = 0;
 
+        // Numbers on the user's suppression list never get bulk messages
+        const suppressed = await optOutService.getSuppressed(whatsappService.toId(userId));
+
         for (let i = 0; i < contacts.length; i++) {
             const contact = contacts[i];
-            
-            try {
-                // Personalize message with variables
-                let personalizedMessage = this.personalizeMessage(message, contact);
-
-                // Send message
-                const result = await whatsappService.sendMessage(
-                    contact.phone,
-                    personalizedMessage,
-                    {
-                        mediaUrl: options.mediaUrl,
-                        mediaType: options.mediaType
-                    }
-                );
 
+            if (optOutService.isSuppressed(suppressed, contact.phone)) {
                 results.push({
                     phone: contact.phone,
-                    status: result.success ? 'sent' : 'failed',
-                    messageId: result.messageId,
-                    error: result.error,
+                    status: 'skipped',
+                    error: 'Contact has opted out',
+                    reason: 'opted_out',
                     timestamp: new Date()
                 });
+                await this.reportResult(options, contact, results[results.length - 1]);
+                continue;
+            }
+            
+            try {
+                const result = await this.sendToContact(userId, contact, message, options);
+                results.push(result);
+
+                await this.reportResult(options, contact, results[results.length - 1]);
 
-                if (result.success) {
+                if (result.status === 'sent') {
                     sent++;
                     
                     // Call progress callback
@@ -56,14 +58,111 @@ class MessageService {
                     error: error.message,
                     timestamp: new Date()
                 });
+
+                await this.reportResult(options, contact, results[results.length - 1]);
             }
         }
 
         return results;
     }
 
+    // Personalize the message for one contact and send it, resolves to a result entry
+    async sendToContact(userId, contact, message, options = {}) {
+        const result = await whatsappService.sendMessage(
+            userId,
+            contact.phone,
+            {
+                text: this.personalizeMessage(message, contact),
+                mediaUrl: options.mediaUrl,
+                mediaType: options.mediaType,
+                // Falls back to the personalized text when it has no body of its own
+                interactive: options.interactive && {
+                    ...options.interactive,
+                    body: options.interactive.body && this.personalizeMessage(options.interactive.body, contact)
+                },
+                location: options.location && {
+                    ...options.location,
+                    name: this.personalizeMessage(options.location.name, contact),
+                    address: this.personalizeMessage(options.location.address, contact)
+                },
+                contactCard: options.contactCard,
+                stickerUrl: options.stickerUrl
+            },
+            {
+                mode: options.mode,
+                sessionId: options.sessionId,
+                campaignId: options.campaignId
+            }
+        );
+
+        return {
+            phone: contact.phone,
+            status: result.success ? 'sent' : 'failed',
+            messageId: result.messageId,
+            error: result.success ? undefined : result.message,
+            reason: result.reason,
+            timestamp: new Date()
+        };
+    }
+
+    // Post the same message into each group, spaced by options.delay
+    async sendGroupMessages(userId, groups, message, options = {}) {
+        const results = [];
+
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            const result = await whatsappService.sendToGroup(
+                userId,
+                group.groupJid,
+                {
+                    text: message,
+                    mediaUrl: options.mediaUrl,
+                    mediaType: options.mediaType,
+                    mentionAll: options.mentionAll
+                },
+                {
+                    mode: options.mode,
+                    sessionId: options.sessionId,
+                    campaignId: options.campaignId
+                }
+            );
+
+            results.push({
+                groupJid: group.groupJid,
+                status: result.success ? 'sent' : 'failed',
+                messageId: result.messageId,
+                error: result.success ? undefined : result.message,
+                timestamp: new Date()
+            });
+
+            await this.reportResult(options, group, results[results.length - 1]);
+
+            // Group posts reach many people at once, space them further apart
+            if (i < groups.length - 1) {
+                const delay = (options.delay || 60000) + Math.floor(Math.random() * 5000);
+                console.log(`⏳ Waiting ${delay}ms before next group post...`);
+                await this.sleep(delay);
+            }
+        }
+
+        return results;
+    }
+
+    // Hand one result to the caller's onResult callback
+    async reportResult(options, target, result) {
+        if (!options.onResult) return;
+
+        try {
+            await options.onResult(target, result);
+        } catch (error) {
+            console.error(`Error recording result for ${target.phone || target.groupJid}:`, error.message);
+        }
+    }
+
     // Personalize message with variables
     personalizeMessage(message, contact) {
+        if (!message) return message;
+
         let personalized = message;
 
         // Replace {{name}}
@@ -82,9 +181,28 @@ class MessageService {
         return personalized;
     }
 
+    // Contact card snapshot for a payload: { contactId } is filled in from the user's Contact
+    async resolveContactCard(userId, contactCard) {
+        if (!contactCard) return contactCard;
+
+        if (contactCard.contactId) {
+            const contact = await Contact.findOne({ _id: contactCard.contactId, userId });
+            if (!contact) {
+                throw new Error('Contact for the contact card not found');
+            }
+            return { contactId: contact._id, ...vcard.fromContact(contact) };
+        }
+
+        return vcard.normalize(contactCard);
+    }
+
     // Calculate delay with randomization
     calculateDelay(options) {
         const baseDelay = options.delay || 3000;
+
+        if (options.minDelay != null && options.maxDelay != null) {
+            return Math.floor(Math.random() * (options.maxDelay - options.minDelay + 1)) + options.minDelay;
+        }
         
         if (options.randomDelay) {
             const min = options.randomDelayRange?.min || 2000;
@@ -101,8 +219,8 @@ class MessageService {
     }
 
     // Send single message
-    async sendSingleMessage(phone, message, options = {}) {
-        return await whatsappService.sendMessage(phone, message, options);
+    async sendSingleMessage(userId, phone, message, options = {}) {
+        return await whatsappService.sendMessage(userId, phone, { text: message, ...options });
     }
 }
 
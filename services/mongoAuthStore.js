@@ -0,0 +1,252 @@
+/**
+ * MongoDB Auth Store
+ * Remote store for whatsapp-web.js RemoteAuth. Session zips are encrypted
+ * with AES-256-GCM (key derived from WHATSAPP_SESSION_KEY) and kept in the
+ * SessionCredential collection, so linked numbers survive redeploys on
+ * Render/Railway.
+ *
+ * On first use it also moves sessions still lying on local disk
+ * (LocalAuth folders and the legacy whatsapp-sessions/ directory) into
+ * MongoDB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SessionCredential = require('../models/SessionCredential');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const User = require('../models/User');
+
+const LEGACY_SESSIONS_PATH = path.join(__dirname, '../whatsapp-sessions');
+const LOCAL_AUTH_DIRS = ['IndexedDB', 'Local Storage'];
+
+class MongoAuthStore {
+    constructor({ dataPath } = {}) {
+        this.dataPath = path.resolve(dataPath || process.env.WHATSAPP_AUTH_PATH || './.wwebjs_auth/');
+        this.migration = null;
+    }
+
+    // RemoteAuth session name for a WhatsAppSession ID
+    static sessionName(sessionId) {
+        return `RemoteAuth-${sessionId}`;
+    }
+
+    // 32-byte key from the environment
+    getKey() {
+        const secret = process.env.WHATSAPP_SESSION_KEY;
+        if (!secret) {
+            throw new Error('WHATSAPP_SESSION_KEY is not set, cannot store WhatsApp sessions');
+        }
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    encrypt(buffer) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+        const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+        return { data, iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') };
+    }
+
+    decrypt(doc) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), Buffer.from(doc.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(doc.authTag, 'hex'));
+        return Buffer.concat([decipher.update(doc.data), decipher.final()]);
+    }
+
+    // WhatsAppSession ID encoded in a RemoteAuth session name
+    toSessionId(session) {
+        const id = session.replace(/^RemoteAuth-/, '');
+        return mongoose.isValidObjectId(id) ? id : undefined;
+    }
+
+    // Encrypt and upsert the active credentials of a session
+    async write(session, buffer, source = 'remote_auth') {
+        const encrypted = this.encrypt(buffer);
+        await SessionCredential.findOneAndUpdate(
+            { session, kind: 'active' },
+            { ...encrypted, sessionId: this.toSessionId(session), source, size: buffer.length, updatedAt: new Date() },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // ---- RemoteAuth store interface ----
+
+    async sessionExists({ session }) {
+        return !!(await SessionCredential.exists({ session, kind: 'active' }));
+    }
+
+    // RemoteAuth has just written <dataPath>/<session>.zip
+    async save({ session }) {
+        const zipPath = path.join(this.dataPath, `${session}.zip`);
+        await this.write(session, await fs.promises.readFile(zipPath));
+    }
+
+    // Write the decrypted zip where RemoteAuth expects it
+    async extract({ session, path: zipPath }) {
+        const doc = await SessionCredential.findOne({ session, kind: 'active' }).select('+data');
+        if (!doc) return;
+        await fs.promises.mkdir(path.dirname(zipPath), { recursive: true });
+        await fs.promises.writeFile(zipPath, this.decrypt(doc));
+    }
+
+    async delete({ session }) {
+        await SessionCredential.deleteOne({ session, kind: 'active' });
+    }
+
+    // ---- Backup / restore ----
+
+    // Copy the active credentials into a new backup
+    async backup(session, label) {
+        const active = await SessionCredential.findOne({ session, kind: 'active' }).select('+data');
+        if (!active) {
+            throw new Error('No stored credentials for this session');
+        }
+
+        const backup = await SessionCredential.create({
+            session,
+            sessionId: active.sessionId,
+            kind: 'backup',
+            label: label || `Backup ${new Date().toISOString()}`,
+            source: 'backup',
+            data: active.data,
+            iv: active.iv,
+            authTag: active.authTag,
+            size: active.size
+        });
+
+        return this.toBackup(backup);
+    }
+
+    async listBackups(session) {
+        const backups = await SessionCredential.find({ session, kind: 'backup' }).sort('-createdAt');
+        return backups.map(backup => this.toBackup(backup));
+    }
+
+    // Replace the active credentials with a backup
+    async restore(session, backupId) {
+        const backup = await SessionCredential.findOne({ _id: backupId, session, kind: 'backup' }).select('+data');
+        if (!backup) {
+            throw new Error('Backup not found');
+        }
+
+        // Decrypt first so a corrupt backup never overwrites working credentials
+        await this.write(session, this.decrypt(backup), 'backup');
+        return this.toBackup(backup);
+    }
+
+    toBackup(doc) {
+        return {
+            id: doc._id,
+            label: doc.label,
+            source: doc.source,
+            size: doc.size,
+            createdAt: doc.createdAt
+        };
+    }
+
+    // ---- Migration of on-disk sessions ----
+
+    // Run the disk migration once per process
+    migrateLocalSessions() {
+        if (!this.migration) {
+            this.migration = this.runMigration().catch(error => {
+                console.error('Session migration error:', error.message);
+                this.migration = null;
+            });
+        }
+        return this.migration;
+    }
+
+    async runMigration() {
+        const archiver = require('archiver');
+        let migrated = 0;
+
+        // LocalAuth folders: <dataPath>/session-<clientId>
+        for (const dir of this.listDirs(this.dataPath).filter(name => name.startsWith('session-'))) {
+            const sessionId = await this.resolveLegacyClient(dir.replace(/^session-/, ''));
+            const session = MongoAuthStore.sessionName(sessionId);
+            const source = path.join(this.dataPath, dir, 'Default');
+
+            if (await this.sessionExists({ session })) continue;
+
+            const buffer = await this.zip(archiver, archive => {
+                LOCAL_AUTH_DIRS
+                    .filter(name => fs.existsSync(path.join(source, name)))
+                    .forEach(name => archive.directory(path.join(source, name), `Default/${name}`));
+            });
+            await this.write(session, buffer, 'local_migration');
+            await this.removeMigrated(path.join(this.dataPath, dir), session);
+            migrated++;
+        }
+
+        // Legacy whatsapp-sessions/<id> folders, kept as backups
+        for (const dir of this.listDirs(LEGACY_SESSIONS_PATH)) {
+            const sessionId = await this.resolveLegacyClient(dir);
+            const session = MongoAuthStore.sessionName(sessionId);
+
+            const buffer = await this.zip(archiver, archive => {
+                archive.directory(path.join(LEGACY_SESSIONS_PATH, dir), false);
+            });
+            await SessionCredential.create({
+                session,
+                sessionId: this.toSessionId(session),
+                kind: 'backup',
+                label: `Migrated from whatsapp-sessions/${dir}`,
+                source: 'legacy_files',
+                size: buffer.length,
+                ...this.encrypt(buffer)
+            });
+            await this.removeMigrated(path.join(LEGACY_SESSIONS_PATH, dir), session);
+            migrated++;
+        }
+
+        if (migrated > 0) {
+            console.log(`🔐 Migrated ${migrated} on-disk WhatsApp session(s) to MongoDB`);
+        }
+    }
+
+    listDirs(dir) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    }
+
+    // Older clients were keyed by user ID: map those to the user's primary session
+    async resolveLegacyClient(clientId) {
+        if (!mongoose.isValidObjectId(clientId)) return clientId;
+        if (await WhatsAppSession.exists({ _id: clientId })) return clientId;
+
+        const user = await User.findById(clientId).select('_id');
+        if (!user) return clientId;
+
+        let session = await WhatsAppSession.findOne({ userId: user._id }).sort('-isPrimary createdAt');
+        if (!session) {
+            session = await WhatsAppSession.create({ userId: user._id, name: 'default', isPrimary: true });
+        }
+        return session.id;
+    }
+
+    // Build a zip in memory
+    zip(archiver, fill) {
+        return new Promise((resolve, reject) => {
+            const archive = archiver('zip');
+            const chunks = [];
+            archive.on('data', chunk => chunks.push(chunk));
+            archive.on('end', () => resolve(Buffer.concat(chunks)));
+            archive.on('error', reject);
+            fill(archive);
+            archive.finalize();
+        });
+    }
+
+    // Delete the plain-text copy once the encrypted one can be read back
+    async removeMigrated(dir, session) {
+        const stored = await SessionCredential.findOne({ session }).sort('-createdAt').select('+data');
+        this.decrypt(stored);
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = MongoAuthStore;
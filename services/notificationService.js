@@ -0,0 +1,91 @@
+/**
+ * Notification Service
+ * Alerts for the admin, by WhatsApp to ADMIN_NUMBER and by email to
+ * ADMIN_EMAIL (when SMTP_HOST is configured).
+ *
+ * Every alert has a key. The AdminNotification with that key is created
+ * before anything is sent, so an alert goes out at most once, even when the
+ * same event is seen again after a restart.
+ */
+
+const whatsappService = require('./whatsappService');
+const AdminNotification = require('../models/AdminNotification');
+
+class NotificationService {
+    constructor() {
+        this.mailer = null;
+    }
+
+    // nodemailer transport, created on first use
+    getMailer() {
+        if (!process.env.SMTP_HOST) return null;
+
+        if (!this.mailer) {
+            const nodemailer = require('nodemailer');
+            this.mailer = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT || 587),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+        return this.mailer;
+    }
+
+    /**
+     * Send an admin alert once per key. `via` is the { userId, sessionId } whose
+     * WhatsApp session sends the message; without it only email is used.
+     * Resolves to the AdminNotification, or null if the key was already used.
+     */
+    async notifyAdmin(key, { type, userId, sessionId, subject, message, via }) {
+        let notification;
+        try {
+            notification = await AdminNotification.create({ key, type, userId, sessionId, subject, message });
+        } catch (error) {
+            if (error.code === 11000) return null;
+            throw error;
+        }
+
+        const [whatsapp, email] = await Promise.all([
+            this.sendWhatsApp(message, via),
+            this.sendEmail(subject, message)
+        ]);
+
+        notification.channels = { whatsapp, email };
+        await notification.save();
+
+        console.log(`📣 Admin notified (${key}): WhatsApp ${whatsapp.status}, email ${email.status}`);
+        return notification;
+    }
+
+    async sendWhatsApp(message, via) {
+        if (!process.env.ADMIN_NUMBER) return { status: 'skipped', error: 'ADMIN_NUMBER is not set' };
+        if (!via?.userId) return { status: 'skipped', error: 'No WhatsApp session to send from' };
+
+        const result = await whatsappService.sendText(via.userId, process.env.ADMIN_NUMBER, message, {
+            sessionId: via.sessionId
+        });
+        return result.success
+            ? { status: 'sent', sentAt: new Date() }
+            : { status: 'failed', error: result.message };
+    }
+
+    async sendEmail(subject, message) {
+        const mailer = this.getMailer();
+        if (!mailer || !process.env.ADMIN_EMAIL) return { status: 'skipped', error: 'SMTP_HOST or ADMIN_EMAIL is not set' };
+
+        try {
+            await mailer.sendMail({
+                from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                to: process.env.ADMIN_EMAIL,
+                subject,
+                text: message.replace(/\*/g, '')
+            });
+            return { status: 'sent', sentAt: new Date() };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+}
+
+module.exports = new NotificationService();
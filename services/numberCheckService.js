@@ -0,0 +1,163 @@
+/**
+ * Number Check Service
+ * Background job that asks the connected WhatsApp session whether each
+ * contact's number is registered, then stores the answer on the contact
+ * (`whatsapp.isWhatsApp`, canonical `whatsapp.number`, `whatsapp.verifiedAt`).
+ *
+ * Lookups are throttled (WHATSAPP_NUMBER_CHECK_DELAY, 1500ms by default plus
+ * jitter) and each user runs one job at a time, since bursts of lookups get
+ * numbers flagged just like bursts of messages.
+ *
+ * Jobs live in memory. Emits 'progress' with the public job view.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const whatsappService = require('./whatsappService');
+const Contact = require('../models/Contact');
+const ContactList = require('../models/ContactList');
+
+// Finished jobs stay queryable this long
+const JOB_TTL = 60 * 60 * 1000;
+
+class NumberCheckService extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+        this.delay = Number(process.env.WHATSAPP_NUMBER_CHECK_DELAY || 1500);
+    }
+
+    // Contacts to check: explicit IDs, a list, or everything the user has
+    async findContacts(userId, { contactIds, listId, recheck = false }) {
+        const query = { userId };
+
+        if (listId) {
+            const list = await ContactList.findOne({ _id: listId, userId }).select('contacts');
+            if (!list) {
+                throw new Error('Contact list not found');
+            }
+            query._id = { $in: list.contacts };
+        } else if (contactIds?.length) {
+            query._id = { $in: contactIds };
+        }
+
+        if (!recheck) {
+            query['whatsapp.verifiedAt'] = null;
+        }
+
+        return await Contact.find(query).select('_id phone');
+    }
+
+    // Queue a job and return it straight away, checking happens in the background
+    async start(userId, options = {}) {
+        const id = String(userId);
+        const running = [...this.jobs.values()].find(job => job.userId === id && job.status === 'running');
+        if (running) {
+            throw new Error('A number check is already running for this account');
+        }
+
+        const contacts = await this.findContacts(userId, options);
+
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            userId: id,
+            sessionId: options.sessionId,
+            status: 'running',
+            total: contacts.length,
+            checked: 0,
+            valid: 0,
+            invalid: 0,
+            failed: 0,
+            startedAt: new Date(),
+            cancelled: false
+        };
+        this.jobs.set(job.id, job);
+
+        this.run(job, contacts).catch(error => {
+            this.finish(job, 'failed', error.message);
+        });
+
+        return this.toJob(job);
+    }
+
+    async run(job, contacts) {
+        for (const contact of contacts) {
+            if (job.cancelled) {
+                return this.finish(job, 'cancelled');
+            }
+
+            const result = await whatsappService.checkNumber(job.userId, contact.phone, { sessionId: job.sessionId });
+
+            // A dead session fails every lookup after it, stop instead
+            if (result.reason === 'session_not_ready') {
+                return this.finish(job, 'failed', result.message);
+            }
+
+            if (result.success) {
+                const update = { 'whatsapp.isWhatsApp': result.exists, 'whatsapp.verifiedAt': new Date() };
+                if (result.number) update['whatsapp.number'] = result.number;
+                await Contact.updateOne({ _id: contact._id }, update);
+
+                result.exists ? job.valid++ : job.invalid++;
+            } else {
+                job.failed++;
+                job.lastError = result.message;
+            }
+
+            job.checked++;
+            this.emit('progress', this.toJob(job));
+
+            if (job.checked < job.total) {
+                await this.sleep(this.delay + Math.floor(Math.random() * this.delay));
+            }
+        }
+
+        this.finish(job, 'completed');
+    }
+
+    finish(job, status, error) {
+        job.status = status;
+        job.completedAt = new Date();
+        if (error) job.error = error;
+
+        const timer = setTimeout(() => this.jobs.delete(job.id), JOB_TTL);
+        timer.unref();
+
+        console.log(`📇 Number check ${job.id} ${status}: ${job.valid} on WhatsApp, ${job.invalid} not, ${job.failed} failed`);
+        this.emit('progress', this.toJob(job));
+    }
+
+    cancel(userId, jobId) {
+        const job = this.getJob(userId, jobId);
+        if (job?.status === 'running') {
+            this.jobs.get(jobId).cancelled = true;
+        }
+        return job;
+    }
+
+    getJob(userId, jobId) {
+        const job = this.jobs.get(jobId);
+        return job && job.userId === String(userId) ? this.toJob(job) : null;
+    }
+
+    listJobs(userId) {
+        return [...this.jobs.values()]
+            .filter(job => job.userId === String(userId))
+            .map(job => this.toJob(job));
+    }
+
+    // Public view with progress percentage
+    toJob(job) {
+        const { cancelled, ...view } = job;
+        return {
+            ...view,
+            progress: job.total > 0 ? Math.round((job.checked / job.total) * 100) : 100
+        };
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = new NumberCheckService();
@@ -0,0 +1,141 @@
+/**
+ * Opt-Out Service
+ * Watches incoming messages for unsubscribe replies (STOP, UNSUBSCRIBE, बंद,
+ * ...). A match marks the contact as opted out, adds the number to the
+ * user's suppression list and sends a confirmation. Bulk sends and campaigns
+ * check the list through getSuppressed()/isSuppressed().
+ *
+ * Only whole-message replies count, so "don't stop sending" never opts out.
+ */
+
+const inboxService = require('./inboxService');
+const whatsappService = require('./whatsappService');
+const Contact = require('../models/Contact');
+const Suppression = require('../models/Suppression');
+const User = require('../models/User');
+const phoneUtils = require('../utils/phone');
+
+const DEFAULT_KEYWORDS = [
+    { language: 'en', words: ['stop', 'unsubscribe', 'stop all', 'opt out', 'optout', 'remove me'] },
+    { language: 'hi', words: ['बंद', 'बन्द', 'बंद करो', 'बन्द करो', 'रोको', 'मत भेजो', 'band', 'band karo'] }
+];
+
+const DEFAULT_CONFIRMATION = 'आपको अब हमारी ओर से संदेश नहीं भेजे जाएंगे। 🙏\nYou have been unsubscribed and will not receive further messages from us.';
+
+class OptOutService {
+    constructor() {
+        inboxService.on('message', data => {
+            this.handleMessage(data).catch(error => console.error('Opt-out error:', error.message));
+        });
+    }
+
+    // Lowercase, no punctuation or extra spaces (Devanagari marks are kept)
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+            .trim()
+            .replace(/\s+/g, ' ');
+    }
+
+    async getSettings(userId) {
+        const user = await User.findById(userId).select('whatsapp.optOut').lean();
+        const optOut = user?.whatsapp?.optOut || {};
+
+        return {
+            enabled: optOut.enabled !== false,
+            keywords: optOut.keywords?.length ? optOut.keywords : DEFAULT_KEYWORDS,
+            confirmation: optOut.confirmation || DEFAULT_CONFIRMATION
+        };
+    }
+
+    // { keyword, language } when the whole message is an opt-out keyword
+    detect(settings, text) {
+        const body = this.normalize(text);
+        if (!body) return null;
+
+        for (const { language, words } of settings.keywords) {
+            const keyword = words.find(word => this.normalize(word) === body);
+            if (keyword) return { keyword, language };
+        }
+        return null;
+    }
+
+    async handleMessage({ userId, sessionId, message, contact }) {
+        if (message.direction !== 'inbound' || !message.body) return;
+
+        const settings = await this.getSettings(userId);
+        if (!settings.enabled) return;
+
+        const match = this.detect(settings, message.body);
+        if (!match) return;
+
+        const added = await this.suppress(userId, contact.phone, {
+            contactId: contact._id,
+            reason: 'opt_out',
+            ...match
+        });
+
+        // Confirm once, repeated STOPs get no further messages
+        if (added) {
+            await whatsappService.sendText(userId, contact.phone, settings.confirmation, { sessionId });
+        }
+
+        console.log(`🚫 ${contact.phone} opted out ("${match.keyword}")`);
+    }
+
+    // Add a number to the suppression list. Returns false if it was already there
+    async suppress(userId, phone, details = {}) {
+        const number = phoneUtils.normalize(phone);
+        if (!number) {
+            throw new Error('Valid phone number required');
+        }
+
+        const result = await Suppression.updateOne(
+            { userId, phone: number },
+            { $setOnInsert: { userId, phone: number, ...details } },
+            { upsert: true }
+        );
+
+        await Contact.updateMany(
+            this.contactQuery(userId, number),
+            { 'engagement.optedOut': true, 'engagement.optedOutAt': new Date() }
+        );
+
+        return result.upsertedCount > 0;
+    }
+
+    async unsuppress(userId, phone) {
+        const number = phoneUtils.normalize(phone);
+        if (!number) return false;
+
+        const result = await Suppression.deleteOne({ userId, phone: number });
+
+        await Contact.updateMany(
+            this.contactQuery(userId, number),
+            { 'engagement.optedOut': false, $unset: { 'engagement.optedOutAt': 1 } }
+        );
+
+        return result.deletedCount > 0;
+    }
+
+    // Contacts with this number, by stored phone or the number WhatsApp confirmed
+    contactQuery(userId, number) {
+        return { userId, $or: [{ phone: number }, { 'whatsapp.number': number.slice(1) }] };
+    }
+
+    // Set of suppressed E.164 numbers for fast filtering of a send list
+    async getSuppressed(userId) {
+        const entries = await Suppression.find({ userId }).select('phone').lean();
+        const optedOut = await Contact.find({ userId, 'engagement.optedOut': true }).select('phone').lean();
+
+        return new Set([...entries, ...optedOut].map(entry => phoneUtils.normalize(entry.phone)).filter(Boolean));
+    }
+
+    isSuppressed(suppressed, phone) {
+        return suppressed.has(phoneUtils.normalize(phone));
+    }
+}
+
+module.exports = new OptOutService();
@@ -46,7 +46,8 @@ PIN: ${order.deliveryAddress.pincode}
 धन्यवाद! 🙏
 Sant Rampal Ji Maharaj`;
 
-        return await whatsappService.sendMessage(
+        return await whatsappService.sendText(
+            order.user,
             order.customer.phone,
             message.trim()
         );
@@ -104,7 +105,8 @@ Customer: ${order.customer.name}
 धन्यवाद!
 Sant Rampal Ji Maharaj`;
 
-        return await whatsappService.sendMessage(
+        return await whatsappService.sendText(
+            order.user,
             order.customer.phone,
             message.trim()
         );
@@ -0,0 +1,147 @@
+/**
+ * QR Login Service
+ * Turns the raw QR strings emitted by the transport into PNG/data-URL codes
+ * the dashboard can show. Each code carries a countdown (WHATSAPP_QR_TTL,
+ * 60s by default), is replaced as soon as the transport rotates it, and the
+ * session is given up after WHATSAPP_QR_MAX_ATTEMPTS codes.
+ *
+ * Emits 'update' with { sessionId, userId, state, ... } for the event stream.
+ * States: qr | expired | failed | linked
+ */
+
+const EventEmitter = require('events');
+const QRCode = require('qrcode');
+const whatsappService = require('./whatsappService');
+const WhatsAppSession = require('../models/WhatsAppSession');
+
+class QrService extends EventEmitter {
+    constructor() {
+        super();
+        this.codes = new Map();
+        this.ttl = Number(process.env.WHATSAPP_QR_TTL || 60) * 1000;
+        this.maxAttempts = Number(process.env.WHATSAPP_QR_MAX_ATTEMPTS || 5);
+
+        whatsappService.on('qr', data => {
+            this.handleQr(data).catch(error => console.error('QR error:', error.message));
+        });
+        whatsappService.on('ready', ({ sessionId, userId, phoneNumber }) => {
+            this.finish(sessionId, { sessionId, userId, state: 'linked', phoneNumber });
+        });
+        whatsappService.on('disconnected', ({ sessionId, userId, reason }) => {
+            if (this.codes.has(sessionId)) {
+                this.finish(sessionId, { sessionId, userId, state: 'failed', reason });
+            }
+        });
+    }
+
+    // A fresh QR string arrived from the transport
+    async handleQr({ sessionId, userId, qr }) {
+        const current = this.codes.get(sessionId);
+        const attempt = (current?.attempt || 0) + 1;
+        if (current) clearTimeout(current.timer);
+
+        if (attempt > this.maxAttempts) {
+            return this.giveUp(sessionId, userId);
+        }
+
+        const dataUrl = await QRCode.toDataURL(qr, { margin: 1, width: 300 });
+        const expiresAt = new Date(Date.now() + this.ttl);
+        const timer = setTimeout(() => this.expire(sessionId), this.ttl);
+        timer.unref();
+
+        this.codes.set(sessionId, { userId, qr, dataUrl, expiresAt, attempt, timer });
+
+        await WhatsAppSession.updateOne(
+            { _id: sessionId },
+            { qrCode: qr, qrExpiresAt: expiresAt, qrAttempts: attempt }
+        ).catch(() => {});
+
+        this.emit('update', this.toUpdate(sessionId));
+    }
+
+    // No new code within the TTL
+    async expire(sessionId) {
+        const current = this.codes.get(sessionId);
+        if (!current) return;
+
+        if (current.attempt >= this.maxAttempts) {
+            return this.giveUp(sessionId, current.userId);
+        }
+
+        this.emit('update', { sessionId, userId: current.userId, state: 'expired', attempt: current.attempt, maxAttempts: this.maxAttempts });
+    }
+
+    // Too many codes went unscanned, stop the session
+    async giveUp(sessionId, userId) {
+        this.finish(sessionId, {
+            sessionId,
+            userId,
+            state: 'failed',
+            reason: `QR code not scanned after ${this.maxAttempts} attempts`
+        });
+        await whatsappService.disconnect(userId, { sessionId });
+    }
+
+    // Drop the code and tell listeners how it ended
+    finish(sessionId, update) {
+        const current = this.codes.get(sessionId);
+        if (current) clearTimeout(current.timer);
+        this.codes.delete(sessionId);
+
+        WhatsAppSession.updateOne(
+            { _id: sessionId },
+            { $unset: { qrCode: 1, qrExpiresAt: 1 }, qrAttempts: 0 }
+        ).catch(() => {});
+
+        this.emit('update', update);
+    }
+
+    // Public view of the current code
+    toUpdate(sessionId) {
+        const current = this.codes.get(sessionId);
+        if (!current) return null;
+
+        return {
+            sessionId,
+            userId: current.userId,
+            state: 'qr',
+            qr: current.dataUrl,
+            expiresAt: current.expiresAt,
+            expiresIn: Math.max(0, Math.round((current.expiresAt - Date.now()) / 1000)),
+            attempt: current.attempt,
+            maxAttempts: this.maxAttempts
+        };
+    }
+
+    // Current code for a session, falling back to the stored one after a restart
+    async getQr(session) {
+        const sessionId = String(session._id);
+        if (this.codes.has(sessionId)) {
+            return this.toUpdate(sessionId);
+        }
+
+        if (!session.qrCode || !session.qrExpiresAt || session.qrExpiresAt < new Date()) {
+            return null;
+        }
+
+        return {
+            sessionId,
+            userId: String(session.userId),
+            state: 'qr',
+            qr: await QRCode.toDataURL(session.qrCode, { margin: 1, width: 300 }),
+            expiresAt: session.qrExpiresAt,
+            expiresIn: Math.round((session.qrExpiresAt - Date.now()) / 1000),
+            attempt: session.qrAttempts,
+            maxAttempts: this.maxAttempts
+        };
+    }
+
+    // PNG buffer of the current code
+    async getPng(session) {
+        const sessionId = String(session._id);
+        const qr = this.codes.get(sessionId)?.qr || session.qrCode;
+        return qr ? await QRCode.toBuffer(qr, { margin: 1, width: 300 }) : null;
+    }
+}
+
+module.exports = new QrService();
@@ -0,0 +1,144 @@
+/**
+ * Receipt Service
+ * Keeps campaign recipients in step with what WhatsApp reports back. Send
+ * results are recorded with their message ID, and transport ack events
+ * (whatsapp-web.js acks, Cloud API status webhooks, sandbox simulation)
+ * move each recipient forward: sent -> delivered -> read, or failed.
+ *
+ * Stats are updated with $inc alongside the recipient so they stay right
+ * without reloading the whole contacts array.
+ *
+ * Emits 'update' with { campaignId, userId, messageId, status, stats }.
+ */
+
+const EventEmitter = require('events');
+const whatsappService = require('./whatsappService');
+const Campaign = require('../models/Campaign');
+
+// Acks can beat the send result to the database, keep them this long
+const PENDING_TTL = 60000;
+
+class ReceiptService extends EventEmitter {
+    constructor() {
+        super();
+        this.pending = new Map();
+
+        whatsappService.on('ack', data => {
+            this.handleAck(data).catch(error => console.error('Receipt error:', error.message));
+        });
+    }
+
+    // Store the outcome of sending to one recipient, counted in its day slice too when it has one
+    async track(campaignId, contactId, result, splitDay) {
+        const sent = result.status === 'sent';
+        const status = sent ? 'sent' : (result.status === 'skipped' ? 'skipped' : 'failed');
+        const set = sent
+            ? { 'contacts.$.status': 'sent', 'contacts.$.messageId': result.messageId, 'contacts.$.sentAt': result.timestamp || new Date() }
+            : { 'contacts.$.status': status, 'contacts.$.error': result.error };
+        const inc = { [`stats.${status}Count`]: 1 };
+        if (splitDay) {
+            inc[`scheduleSplits.$[split].${status}Count`] = 1;
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: campaignId, contacts: { $elemMatch: { _id: contactId, status: { $in: ['pending', 'queued', 'sending'] } } } },
+            {
+                $set: set,
+                $inc: inc
+            },
+            {
+                new: true,
+                projection: { userId: 1, stats: 1 },
+                arrayFilters: splitDay ? [{ 'split.day': splitDay }] : undefined
+            }
+        );
+        if (!campaign) return;
+
+        this.emit('update', this.toUpdate(campaign, result.messageId, result.status));
+
+        // Apply receipts that arrived before the message ID was stored
+        const early = result.messageId && this.pending.get(result.messageId);
+        if (early) {
+            clearTimeout(early.timer);
+            this.pending.delete(result.messageId);
+            for (const ack of early.acks) {
+                await this.apply(ack);
+            }
+        }
+    }
+
+    async handleAck(data) {
+        if (!data.messageId || !['delivered', 'read', 'failed'].includes(data.status)) return;
+
+        const applied = await this.apply(data);
+        if (applied !== null) return;
+
+        // No campaign knows this message ID yet
+        const early = this.pending.get(data.messageId) || { acks: [] };
+        clearTimeout(early.timer);
+        early.acks.push(data);
+        early.timer = setTimeout(() => this.pending.delete(data.messageId), PENDING_TTL);
+        early.timer.unref();
+        this.pending.set(data.messageId, early);
+    }
+
+    // Move the recipient forward. Returns null when no campaign has the message
+    async apply(data) {
+        const { messageId, status } = data;
+        const at = data.timestamp || new Date();
+
+        const found = await Campaign.findOne({ 'contacts.messageId': messageId }).select({ 'contacts.$': 1 }).lean();
+        if (!found) {
+            return null;
+        }
+
+        // A failure moves the recipient from sent to failed in its day slice too, like track() counted it
+        const splitDay = found.contacts[0]?.splitDay;
+        const splitFailed = splitDay ? { 'scheduleSplits.$[split].sentCount': -1, 'scheduleSplits.$[split].failedCount': 1 } : {};
+
+        // Each step only matches recipients still behind it, so repeated acks are no-ops
+        const steps = {
+            delivered: [
+                ['sent', { 'contacts.$.status': 'delivered', 'contacts.$.deliveredAt': at }, { 'stats.deliveredCount': 1 }]
+            ],
+            read: [
+                ['delivered', { 'contacts.$.status': 'read', 'contacts.$.readAt': at }, { 'stats.readCount': 1 }],
+                ['sent', { 'contacts.$.status': 'read', 'contacts.$.deliveredAt': at, 'contacts.$.readAt': at }, { 'stats.deliveredCount': 1, 'stats.readCount': 1 }]
+            ],
+            failed: [
+                ['sent', { 'contacts.$.status': 'failed', 'contacts.$.error': data.error || 'Message failed' }, { 'stats.sentCount': -1, 'stats.failedCount': 1, ...splitFailed }]
+            ]
+        };
+
+        for (const [from, set, inc] of steps[status]) {
+            const campaign = await Campaign.findOneAndUpdate(
+                { contacts: { $elemMatch: { messageId, status: from } } },
+                { $set: set, $inc: inc },
+                {
+                    new: true,
+                    projection: { userId: 1, stats: 1 },
+                    arrayFilters: status === 'failed' && splitDay ? [{ 'split.day': splitDay }] : undefined
+                }
+            );
+
+            if (campaign) {
+                this.emit('update', this.toUpdate(campaign, messageId, status));
+                return campaign;
+            }
+        }
+
+        return undefined;
+    }
+
+    toUpdate(campaign, messageId, status) {
+        return {
+            campaignId: String(campaign._id),
+            userId: String(campaign.userId),
+            messageId,
+            status,
+            stats: campaign.stats
+        };
+    }
+}
+
+module.exports = new ReceiptService();
@@ -1,6 +1,6 @@
 const cron = require('node-cron');
 const Campaign = require('../models/Campaign');
-const messageService = require('./messageService');
+const campaignEngine = require('./campaignEngine');
 const moment = require('moment-timezone');
 
 class SchedulerService {
@@ -39,11 +39,10 @@ class SchedulerService {
 
                 for (const campaign of campaigns) {
                     console.log(`📤 Processing campaign: ${campaign.name}`);
-                    
-                    // Update status to running
-                    campaign.status = 'running';
-                    campaign.startedAt = new Date();
-                    await campaign.save();
+
+                    // The engine delivers it, and picks it up again after a restart
+                    const started = await campaignEngine.launch(campaign._id);
+                    if (!started) continue;
 
                     // Emit to frontend
                     io.emit('campaign-started', {
@@ -51,11 +50,6 @@ class SchedulerService {
                         name: campaign.name,
                         userId: campaign.userId._id
                     });
-
-                    // Process campaign in background
-                    this.processCampaign(campaign, io).catch(err => {
-                        console.error('Campaign processing error:', err);
-                    });
                 }
 
             } catch (error) {
@@ -66,62 +60,6 @@ class SchedulerService {
         this.jobs.set('campaigns', job);
     }
 
-    // Process campaign messages
-    async processCampaign(campaign, io) {
-        try {
-            const results = await messageService.sendBulkMessages(
-                campaign.contacts,
-                campaign.message.text,
-                {
-                    delay: campaign.antiBan.delayBetweenMessages,
-                    randomDelay: campaign.antiBan.randomDelay,
-                    mediaUrl: campaign.message.mediaUrl,
-                    mediaType: campaign.message.mediaType,
-                    onProgress: (sent, total) => {
-                        // Emit progress
-                        io.emit('campaign-progress', {
-                            campaignId: campaign._id,
-                            sent,
-                            total,
-                            progress: ((sent / total) * 100).toFixed(2)
-                        });
-                    }
-                }
-            );
-
-            // Update campaign with results
-            campaign.contacts = campaign.contacts.map((contact, index) => {
-                const result = results[index];
-                return {
-                    ...contact.toObject(),
-                    status: result.status,
-                    sentAt: result.status === 'sent' ? new Date() : null,
-                    error: result.error
-                };
-            });
-
-            campaign.status = 'completed';
-            campaign.completedAt = new Date();
-            await campaign.save();
-
-            // Emit completion
-            io.emit('campaign-completed', {
-                campaignId: campaign._id,
-                name: campaign.name,
-                stats: campaign.stats
-            });
-
-        } catch (error) {
-            campaign.status = 'failed';
-            await campaign.save();
-            
-            io.emit('campaign-failed', {
-                campaignId: campaign._id,
-                error: error.message
-            });
-        }
-    }
-
     // Schedule cleanup
     scheduleCleanup() {
         const job = cron.schedule('0 2 * * *', async () => {
@@ -189,7 +127,8 @@ class SchedulerService {
 धन्यवाद! 🙏
 *Sant Rampal Ji Maharaj*`;
 
-                    await whatsappService.sendMessage(
+                    await whatsappService.sendText(
+                        order.user,
                         order.customer.phone,
                         message.trim()
                     );
@@ -0,0 +1,219 @@
+/**
+ * Session Supervisor
+ * Owns the health state of every WhatsApp session and brings dropped
+ * sessions back with exponential backoff.
+ *
+ * States: disconnected | connecting | qr_required | ready | degraded | logged_out | banned
+ * Every change is stored on the WhatsAppSession with a timestamp and reason
+ * and emitted on whatsappService as 'session_state' (with the previous session).
+ */
+
+const mongoose = require('mongoose');
+const WhatsAppSession = require('../models/WhatsAppSession');
+
+// WhatsApp Web disconnect reasons / states that can't be fixed by reconnecting
+const LOGGED_OUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE', 'auth_failure'];
+const BANNED_REASONS = ['TOS_BLOCK', 'SMB_TOS_BLOCK', 'BANNED'];
+const DEGRADED_STATES = ['CONFLICT', 'TIMEOUT', 'OPENING', 'PAIRING', 'UNLAUNCHED', 'PROXYBLOCK', 'DEPRECATED_VERSION'];
+const HISTORY_LIMIT = 50;
+
+class SessionSupervisor {
+    constructor(whatsappService) {
+        this.whatsappService = whatsappService;
+        this.states = new Map();
+        this.timers = new Map();
+        this.attempts = new Map();
+        this.stopped = new Set();
+
+        this.baseDelay = Number(process.env.WHATSAPP_RECONNECT_BASE_DELAY || 5000);
+        this.maxDelay = Number(process.env.WHATSAPP_RECONNECT_MAX_DELAY || 300000);
+        this.maxAttempts = Number(process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS || 10);
+
+        whatsappService.on('qr', data => this.setState(data, 'qr_required', 'Waiting for QR scan'));
+        whatsappService.on('ready', data => this.handleReady(data));
+        whatsappService.on('disconnected', data => this.handleDisconnect(data));
+        whatsappService.on('state', data => this.handleState(data));
+    }
+
+    // Sandbox and user-keyed clients have no session document to supervise
+    isSupervised({ sessionId, mode }) {
+        return mode !== 'sandbox' && mongoose.isValidObjectId(sessionId);
+    }
+
+    // Current state, falling back to the stored one
+    getState(session) {
+        return this.states.get(String(session._id)) || session.status;
+    }
+
+    isReady(session) {
+        return this.getState(session) === 'ready';
+    }
+
+    // Record a state change with its reason
+    async setState(data, state, reason, extra = {}) {
+        if (!this.isSupervised(data)) return;
+
+        const sessionId = String(data.sessionId);
+        const at = new Date();
+        this.states.set(sessionId, state);
+
+        try {
+            const previous = await WhatsAppSession.findOneAndUpdate({ _id: sessionId }, {
+                status: state,
+                stateChangedAt: at,
+                ...extra,
+                $push: { stateHistory: { $each: [{ state, reason, at }], $slice: -HISTORY_LIMIT } }
+            }, { projection: { userId: 1, name: 1, status: 1, phoneNumber: 1, lastConnected: 1, linkedAt: 1 } }).lean();
+
+            // The session as it was before this change, for the connection event feed
+            if (previous) {
+                this.whatsappService.emit('session_state', {
+                    sessionId,
+                    userId: String(previous.userId),
+                    state,
+                    reason,
+                    at,
+                    phoneNumber: extra.phoneNumber || previous.phoneNumber,
+                    previous
+                });
+            }
+        } catch (error) {
+            console.error('Session state error:', error.message);
+        }
+    }
+
+    async handleReady(data) {
+        const sessionId = String(data.sessionId);
+        this.clearTimer(sessionId);
+        this.attempts.delete(sessionId);
+        this.stopped.delete(sessionId);
+
+        await this.setState(data, 'ready', 'Connected', {
+            phoneNumber: data.phoneNumber,
+            lastConnected: new Date(),
+            reconnectAttempts: 0,
+            $unset: { nextReconnectAt: 1, pairingCode: 1, pairingCodeExpiresAt: 1 }
+        });
+    }
+
+    async handleDisconnect(data) {
+        const sessionId = String(data.sessionId);
+        const reason = String(data.reason || 'unknown');
+        const extra = { lastDisconnected: new Date() };
+
+        if (this.stopped.has(sessionId) || reason === 'manual') {
+            return this.setState(data, 'disconnected', 'Disconnected by user', extra);
+        }
+
+        if (BANNED_REASONS.includes(reason)) {
+            return this.setState(data, 'banned', reason, extra);
+        }
+
+        if (LOGGED_OUT_REASONS.includes(reason)) {
+            return this.setState(data, 'logged_out', reason, extra);
+        }
+
+        await this.setState(data, 'degraded', reason, extra);
+        this.scheduleReconnect(data);
+    }
+
+    // change_state / auth_failure events from the transport
+    async handleState(data) {
+        const state = String(data.state);
+
+        if (BANNED_REASONS.includes(state)) {
+            return this.setState(data, 'banned', state);
+        }
+
+        if (LOGGED_OUT_REASONS.includes(state)) {
+            return this.setState(data, 'logged_out', data.reason || state);
+        }
+
+        if (DEGRADED_STATES.includes(state)) {
+            return this.setState(data, 'degraded', state);
+        }
+
+        if (state === 'CONNECTED' && this.states.get(String(data.sessionId)) === 'degraded') {
+            return this.setState(data, 'ready', 'Connection recovered');
+        }
+    }
+
+    // Exponential backoff with jitter: base * 2^attempt, capped at maxDelay
+    scheduleReconnect(data) {
+        if (!this.isSupervised(data)) return;
+
+        const sessionId = String(data.sessionId);
+        const attempt = (this.attempts.get(sessionId) || 0) + 1;
+
+        if (attempt > this.maxAttempts) {
+            this.attempts.delete(sessionId);
+            return this.setState(data, 'disconnected', `Gave up after ${this.maxAttempts} reconnect attempts`);
+        }
+
+        const delay = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay) + Math.floor(Math.random() * 1000);
+        this.attempts.set(sessionId, attempt);
+        this.clearTimer(sessionId);
+
+        WhatsAppSession.updateOne({ _id: sessionId }, {
+            reconnectAttempts: attempt,
+            nextReconnectAt: new Date(Date.now() + delay)
+        }).catch(() => {});
+
+        console.log(`🔄 Reconnecting session ${sessionId} in ${Math.round(delay / 1000)}s (attempt ${attempt}/${this.maxAttempts})`);
+
+        const timer = setTimeout(() => this.reconnect(data), delay);
+        timer.unref();
+        this.timers.set(sessionId, timer);
+    }
+
+    async reconnect(data) {
+        const sessionId = String(data.sessionId);
+        this.timers.delete(sessionId);
+        if (this.stopped.has(sessionId)) return;
+
+        const result = await this.whatsappService.connect(data.userId, { sessionId, mode: 'live' });
+        if (!result.success) {
+            await this.setState(data, 'degraded', result.message);
+            this.scheduleReconnect(data);
+        }
+    }
+
+    // Manual disconnect: no more reconnects until the next connect()
+    async stop(data) {
+        const sessionId = String(data.sessionId);
+        this.stopped.add(sessionId);
+        this.clearTimer(sessionId);
+        this.attempts.delete(sessionId);
+        await this.setState(data, 'disconnected', 'Disconnected by user', { lastDisconnected: new Date() });
+    }
+
+    // A connect() was requested (manually or by a reconnect)
+    async starting(data) {
+        this.stopped.delete(String(data.sessionId));
+        await this.setState(data, 'connecting', data.reason || 'Connecting');
+    }
+
+    clearTimer(sessionId) {
+        clearTimeout(this.timers.get(sessionId));
+        this.timers.delete(sessionId);
+    }
+
+    // After a restart, bring back every session that was linked before
+    async resumeAll() {
+        const sessions = await WhatsAppSession.find({
+            status: { $in: ['ready', 'degraded', 'connecting'] }
+        });
+
+        for (const session of sessions) {
+            console.log(`♻️  Resuming WhatsApp session ${session.name} (${session._id})`);
+            const result = await this.whatsappService.connect(session.userId, { sessionId: session._id, mode: 'live' });
+            if (!result.success) {
+                const data = { sessionId: session.id, userId: String(session.userId) };
+                await this.setState(data, 'degraded', result.message);
+                this.scheduleReconnect(data);
+            }
+        }
+    }
+}
+
+module.exports = SessionSupervisor;
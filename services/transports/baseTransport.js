@@ -0,0 +1,103 @@
+/**
+ * Base Transport
+ * Every WhatsApp transport adapter extends this class and implements the same
+ * interface, so whatsappService never needs to know which one is active.
+ *
+ * Events emitted by adapters (payload always includes `clientId`):
+ *   qr           - { clientId, qr }
+ *   pairing_code - { clientId, code }
+ *   ready        - { clientId, phoneNumber }
+ *   disconnected - { clientId, reason }
+ *   state        - { clientId, state, reason }   (health changes while connected)
+ *   message      - { clientId, from, body, ..., reply?, contextId? }  (reply/contextId: answers to interactive messages)
+ *   ack          - { clientId, messageId, status, timestamp?, error? }  (sent | delivered | read | failed)
+ */
+
+const EventEmitter = require('events');
+const { toText } = require('./interactive');
+
+class BaseTransport extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    // Start (or resume) a session for the given client
+    async connect(clientId, options = {}) {
+        throw new Error(`${this.name} transport does not implement connect()`);
+    }
+
+    // Current connection state: connected | connecting | disconnected
+    async status(clientId) {
+        throw new Error(`${this.name} transport does not implement status()`);
+    }
+
+    // Link by phone number instead of QR, resolves to { success, code }
+    async requestPairingCode(clientId, phone, options = {}) {
+        throw new Error(`${this.name} transport does not support pairing codes`);
+    }
+
+    // Send a plain text message, resolves to { success, messageId }
+    async sendText(clientId, phone, text, options = {}) {
+        throw new Error(`${this.name} transport does not implement sendText()`);
+    }
+
+    // Send media ({ mediaUrl, mediaType, caption }), resolves to { success, messageId }
+    async sendMedia(clientId, phone, media, options = {}) {
+        throw new Error(`${this.name} transport does not implement sendMedia()`);
+    }
+
+    // Send a pre-approved template message ({ name, language, components })
+    async sendTemplate(clientId, phone, template, options = {}) {
+        throw new Error(`${this.name} transport does not support template messages`);
+    }
+
+    // Send a map pin ({ latitude, longitude, name, address, url }), resolves to { success, messageId }
+    async sendLocation(clientId, phone, location, options = {}) {
+        throw new Error(`${this.name} transport does not support location messages`);
+    }
+
+    // Send a contact card ({ name, phones, email, organization, title }, see vcard.js)
+    async sendContactCard(clientId, phone, card, options = {}) {
+        throw new Error(`${this.name} transport does not support contact cards`);
+    }
+
+    // Send a sticker ({ stickerUrl }), resolves to { success, messageId }
+    async sendSticker(clientId, phone, sticker, options = {}) {
+        throw new Error(`${this.name} transport does not support stickers`);
+    }
+
+    // Is the number on WhatsApp? Resolves to { success, exists, number } with the canonical number
+    async checkNumber(clientId, phone, options = {}) {
+        throw new Error(`${this.name} transport does not support number lookups`);
+    }
+
+    // Send buttons / list / CTA / poll (see interactive.js). Transports override this for
+    // what they render natively; the default sends the numbered plain-text fallback
+    async sendInteractive(clientId, phone, interactive, options = {}) {
+        const result = await this.sendText(clientId, phone, toText(interactive), options);
+        return { ...result, fallback: true };
+    }
+
+    // Post into a group ({ text, mediaUrl, mediaType, caption, mentionAll }), resolves to { success, messageId }
+    async sendGroupMessage(clientId, groupJid, message, options = {}) {
+        throw new Error(`${this.name} transport does not support group messages`);
+    }
+
+    // Groups the account is in, resolves to { success, groups: [{ id, name, participantCount, isAdmin }] }
+    async getGroups(clientId, options = {}) {
+        throw new Error(`${this.name} transport does not support groups`);
+    }
+
+    // Members of a group, resolves to { success, participants: [{ phone, isAdmin, isSuperAdmin }], hidden }
+    async getGroupParticipants(clientId, groupId, options = {}) {
+        throw new Error(`${this.name} transport does not support groups`);
+    }
+
+    // Close the session for the given client
+    async disconnect(clientId) {
+        throw new Error(`${this.name} transport does not implement disconnect()`);
+    }
+}
+
+module.exports = BaseTransport;
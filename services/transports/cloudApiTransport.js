@@ -0,0 +1,315 @@
+/**
+ * WhatsApp Cloud API Transport
+ * Sends through Meta's official Graph API. No browser or QR login needed:
+ * each user stores their own phone number ID and access token, with the
+ * WHATSAPP_CLOUD_* environment variables as fallback.
+ *
+ * Set WHATSAPP_CLOUD_BASE_URL to point at mock-graph-server.js for offline
+ * development.
+ */
+
+const axios = require('axios');
+const BaseTransport = require('./baseTransport');
+const { options: optionsOf } = require('./interactive');
+
+class CloudApiTransport extends BaseTransport {
+    constructor() {
+        super('cloud');
+        this.connected = new Map();
+    }
+
+    // Graph API credentials, per user when available
+    getConfig(credentials = {}) {
+        return {
+            baseUrl: (process.env.WHATSAPP_CLOUD_BASE_URL || 'https://graph.facebook.com').replace(/\/$/, ''),
+            apiVersion: process.env.WHATSAPP_CLOUD_API_VERSION || 'v18.0',
+            phoneNumberId: credentials.phoneNumberId || process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID,
+            accessToken: credentials.accessToken || process.env.WHATSAPP_CLOUD_ACCESS_TOKEN
+        };
+    }
+
+    // Map a Graph API error to { message, reason, code }
+    parseError(error) {
+        const graphError = error.response?.data?.error;
+        if (!graphError) {
+            return { message: error.message, reason: 'network_error' };
+        }
+
+        const code = graphError.code;
+        return {
+            message: graphError.error_data?.details || graphError.message,
+            reason: CloudApiTransport.ERROR_REASONS[code] || (error.response.status === 429 ? 'rate_limited' : 'unknown'),
+            code
+        };
+    }
+
+    // POST to the /messages endpoint of the configured phone number
+    async post(body, credentials) {
+        const config = this.getConfig(credentials);
+        if (!config.phoneNumberId || !config.accessToken) {
+            return { success: false, message: 'WhatsApp Cloud API credentials are not configured', reason: 'session_not_ready' };
+        }
+
+        try {
+            const response = await axios.post(
+                `${config.baseUrl}/${config.apiVersion}/${config.phoneNumberId}/messages`,
+                { messaging_product: 'whatsapp', recipient_type: 'individual', ...body },
+                { headers: { Authorization: `Bearer ${config.accessToken}` } }
+            );
+            return { success: true, messageId: response.data?.messages?.[0]?.id };
+        } catch (error) {
+            return { success: false, ...this.parseError(error) };
+        }
+    }
+
+    async connect(clientId, options = {}) {
+        const config = this.getConfig(options.cloud);
+        if (!config.phoneNumberId || !config.accessToken) {
+            return { success: false, message: 'WhatsApp Cloud API credentials are not configured', reason: 'session_not_ready' };
+        }
+
+        try {
+            const response = await axios.get(
+                `${config.baseUrl}/${config.apiVersion}/${config.phoneNumberId}`,
+                { headers: { Authorization: `Bearer ${config.accessToken}` } }
+            );
+            const phoneNumber = (response.data?.display_phone_number || '').replace(/[^0-9]/g, '');
+
+            this.connected.set(clientId, phoneNumber);
+            this.emit('ready', { clientId, phoneNumber });
+
+            return { success: true, message: 'Connected to WhatsApp Cloud API' };
+        } catch (error) {
+            return { success: false, ...this.parseError(error) };
+        }
+    }
+
+    async status(clientId) {
+        return {
+            state: this.connected.has(clientId) ? 'connected' : 'disconnected',
+            phoneNumber: this.connected.get(clientId)
+        };
+    }
+
+    async sendText(clientId, phone, text, options = {}) {
+        return await this.post({
+            to: phone,
+            type: 'text',
+            text: { body: text, preview_url: true }
+        }, options.cloud);
+    }
+
+    async sendMedia(clientId, phone, media, options = {}) {
+        const type = media.mediaType || 'image';
+        const content = { link: media.mediaUrl };
+        if (media.caption && type !== 'audio') content.caption = media.caption;
+
+        return await this.post({
+            to: phone,
+            type,
+            [type]: content
+        }, options.cloud);
+    }
+
+    // Send a pre-approved template ({ name, language, components })
+    async sendTemplate(clientId, phone, template, options = {}) {
+        return await this.post({
+            to: phone,
+            type: 'template',
+            template: {
+                name: template.name,
+                language: { code: template.language || 'en' },
+                components: template.components || []
+            }
+        }, options.cloud);
+    }
+
+    async sendLocation(clientId, phone, location, options = {}) {
+        return await this.post({
+            to: phone,
+            type: 'location',
+            location: {
+                latitude: location.latitude,
+                longitude: location.longitude,
+                name: location.name,
+                address: location.address
+            }
+        }, options.cloud);
+    }
+
+    async sendContactCard(clientId, phone, card, options = {}) {
+        const contact = {
+            name: { formatted_name: card.name, first_name: card.name },
+            phones: card.phones.map(number => ({ phone: `+${number}`, type: 'CELL', wa_id: number }))
+        };
+        if (card.email) contact.emails = [{ email: card.email, type: 'WORK' }];
+        if (card.organization || card.title) contact.org = { company: card.organization, title: card.title };
+
+        return await this.post({
+            to: phone,
+            type: 'contacts',
+            contacts: [contact]
+        }, options.cloud);
+    }
+
+    // Stickers must be 512x512 WebP
+    async sendSticker(clientId, phone, sticker, options = {}) {
+        return await this.post({
+            to: phone,
+            type: 'sticker',
+            sticker: { link: sticker.stickerUrl }
+        }, options.cloud);
+    }
+
+    // Graph API `interactive` object, or null when the payload is outside Cloud API limits
+    renderInteractive(interactive) {
+        const base = { body: { text: interactive.body.slice(0, 1024) } };
+        if (interactive.header) base.header = { type: 'text', text: interactive.header.slice(0, 60) };
+        if (interactive.footer) base.footer = { text: interactive.footer.slice(0, 60) };
+
+        if (interactive.type === 'buttons' && interactive.buttons.length <= 3 &&
+            interactive.buttons.every(button => button.title.length <= 20)) {
+            return {
+                type: 'button',
+                ...base,
+                action: {
+                    buttons: interactive.buttons.map(button => ({ type: 'reply', reply: { id: button.id, title: button.title } }))
+                }
+            };
+        }
+
+        if (interactive.type === 'list' && optionsOf(interactive).length <= 10 &&
+            optionsOf(interactive).every(row => row.title.length <= 24)) {
+            return {
+                type: 'list',
+                ...base,
+                action: {
+                    button: (interactive.buttonText || 'Options').slice(0, 20),
+                    sections: interactive.sections.map(section => ({
+                        title: (section.title || '').slice(0, 24) || undefined,
+                        rows: section.rows.map(row => ({
+                            id: row.id,
+                            title: row.title,
+                            description: row.description?.slice(0, 72)
+                        }))
+                    }))
+                }
+            };
+        }
+
+        // Call buttons only exist in templates, and only one URL button fits
+        if (interactive.type === 'cta' && interactive.buttons.length === 1 && interactive.buttons[0].url) {
+            return {
+                type: 'cta_url',
+                ...base,
+                action: {
+                    name: 'cta_url',
+                    parameters: { display_text: interactive.buttons[0].title.slice(0, 20), url: interactive.buttons[0].url }
+                }
+            };
+        }
+
+        return null;
+    }
+
+    async sendInteractive(clientId, phone, interactive, options = {}) {
+        const rendered = this.renderInteractive(interactive);
+        if (!rendered) {
+            return super.sendInteractive(clientId, phone, interactive, options);
+        }
+
+        return await this.post({
+            to: phone,
+            type: 'interactive',
+            interactive: rendered
+        }, options.cloud);
+    }
+
+    // Text shown for an incoming webhook message of any type
+    messageBody(message) {
+        switch (message.type) {
+            case 'text': return message.text?.body;
+            case 'button': return message.button?.text;
+            case 'interactive': return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title;
+            case 'location': return `📍 ${message.location?.latitude},${message.location?.longitude}`;
+            default: return message[message.type]?.caption || `[${message.type}]`;
+        }
+    }
+
+    // One `changes[].value` object from a webhook delivery (messages and statuses)
+    handleWebhookChange(clientId, value) {
+        const names = {};
+        (value.contacts || []).forEach(contact => {
+            names[contact.wa_id] = contact.profile?.name;
+        });
+
+        (value.messages || []).forEach(message => {
+            const picked = message.interactive?.button_reply || message.interactive?.list_reply;
+            this.emit('message', {
+                clientId,
+                messageId: message.id,
+                from: message.from,
+                name: names[message.from],
+                isGroup: false,
+                body: this.messageBody(message),
+                type: message.type,
+                hasMedia: ['image', 'video', 'audio', 'document', 'sticker'].includes(message.type),
+                // Button/list answers carry the option ID and the message they answer
+                reply: picked ? { id: picked.id, title: picked.title } : (message.button ? { id: message.button.payload, title: message.button.text } : undefined),
+                contextId: message.context?.id,
+                timestamp: new Date(Number(message.timestamp) * 1000)
+            });
+        });
+
+        // Delivery receipts: sent | delivered | read | failed
+        (value.statuses || []).forEach(status => {
+            const error = status.errors?.[0];
+            this.emit('ack', {
+                clientId,
+                messageId: status.id,
+                status: status.status,
+                timestamp: new Date(Number(status.timestamp) * 1000),
+                error: error && (error.error_data?.details || error.message || error.title),
+                reason: error && (CloudApiTransport.ERROR_REASONS[error.code] || 'unknown')
+            });
+        });
+    }
+
+    async disconnect(clientId) {
+        this.connected.delete(clientId);
+        this.emit('disconnected', { clientId, reason: 'manual' });
+        return { success: true };
+    }
+}
+
+// Graph API error codes -> our failure reasons
+CloudApiTransport.ERROR_REASONS = {
+    0: 'auth_error',
+    190: 'auth_error',
+    10: 'permission_denied',
+    200: 'permission_denied',
+    100: 'invalid_parameter',
+    368: 'policy_blocked',
+    4: 'rate_limited',
+    80007: 'rate_limited',
+    130429: 'rate_limited',
+    131056: 'rate_limited',
+    131048: 'spam_rate_limited',
+    131026: 'undeliverable',
+    131047: 're_engagement_required',
+    131051: 'unsupported_message_type',
+    131052: 'media_error',
+    131053: 'media_error',
+    131031: 'account_locked',
+    133010: 'phone_not_registered',
+    132000: 'template_error',
+    132001: 'template_error',
+    132005: 'template_error',
+    132007: 'template_error',
+    132012: 'template_error',
+    132015: 'template_error',
+    132016: 'template_error',
+    131000: 'unknown'
+};
+
+module.exports = CloudApiTransport;
@@ -0,0 +1,107 @@
+/**
+ * Fake Transport
+ * Keeps every outgoing message in memory and never touches WhatsApp.
+ * Used for local development and on devices where Puppeteer cannot run.
+ */
+
+const crypto = require('crypto');
+const BaseTransport = require('./baseTransport');
+
+class FakeTransport extends BaseTransport {
+    constructor() {
+        super('fake');
+        this.connected = new Set();
+        this.outbox = [];
+    }
+
+    async connect(clientId) {
+        this.connected.add(clientId);
+        this.emit('ready', { clientId, phoneNumber: '910000000000' });
+        return { success: true, message: 'Fake transport connected' };
+    }
+
+    async requestPairingCode(clientId) {
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        this.emit('pairing_code', { clientId, code });
+        return { success: true, code };
+    }
+
+    async status(clientId) {
+        return {
+            state: this.connected.has(clientId) ? 'connected' : 'disconnected',
+            phoneNumber: this.connected.has(clientId) ? '910000000000' : undefined
+        };
+    }
+
+    // Record a message and acknowledge it straight away
+    record(clientId, phone, payload) {
+        const messageId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+        this.outbox.push({ clientId, phone, payload, messageId, sentAt: new Date() });
+        this.emit('ack', { clientId, messageId, status: 'sent' });
+        return { success: true, messageId };
+    }
+
+    async sendText(clientId, phone, text) {
+        return this.record(clientId, phone, { text });
+    }
+
+    async sendMedia(clientId, phone, media) {
+        return this.record(clientId, phone, media);
+    }
+
+    async sendTemplate(clientId, phone, template) {
+        return this.record(clientId, phone, { template });
+    }
+
+    async sendInteractive(clientId, phone, interactive) {
+        return this.record(clientId, phone, { interactive });
+    }
+
+    async sendLocation(clientId, phone, location) {
+        return this.record(clientId, phone, { location });
+    }
+
+    async sendContactCard(clientId, phone, card) {
+        return this.record(clientId, phone, { contactCard: card });
+    }
+
+    async sendSticker(clientId, phone, sticker) {
+        return this.record(clientId, phone, sticker);
+    }
+
+    async checkNumber(clientId, phone) {
+        return { success: true, exists: true, number: phone };
+    }
+
+    async sendGroupMessage(clientId, groupJid, message) {
+        return this.record(clientId, groupJid, message);
+    }
+
+    async getGroups(clientId) {
+        return {
+            success: true,
+            groups: [{ id: '120363000000000000@g.us', name: 'Fake Group', participantCount: 3, isAdmin: true }]
+        };
+    }
+
+    async getGroupParticipants(clientId, groupId) {
+        return {
+            success: true,
+            name: 'Fake Group',
+            participants: [
+                { phone: '910000000000', isAdmin: true, isSuperAdmin: true },
+                { phone: '919000000001', isAdmin: false, isSuperAdmin: false },
+                { phone: '919000000002', isAdmin: false, isSuperAdmin: false }
+            ],
+            hidden: 0
+        };
+    }
+
+    async disconnect(clientId) {
+        this.connected.delete(clientId);
+        this.emit('disconnected', { clientId, reason: 'manual' });
+        return { success: true };
+    }
+}
+
+module.exports = FakeTransport;
@@ -0,0 +1,27 @@
+/**
+ * Transport registry
+ * Maps the WHATSAPP_TRANSPORT setting to an adapter class.
+ */
+
+const WebTransport = require('./webTransport');
+const CloudApiTransport = require('./cloudApiTransport');
+const FakeTransport = require('./fakeTransport');
+const SandboxTransport = require('./sandboxTransport');
+
+const transports = {
+    web: WebTransport,
+    cloud: CloudApiTransport,
+    fake: FakeTransport,
+    sandbox: SandboxTransport
+};
+
+// Create a transport instance by name
+const createTransport = (name) => {
+    const Transport = transports[name];
+    if (!Transport) {
+        throw new Error(`Unknown WhatsApp transport "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return new Transport();
+};
+
+module.exports = { createTransport, transports };
@@ -0,0 +1,115 @@
+/**
+ * Interactive message helpers shared by the transports.
+ *
+ * Normalized payload:
+ *   { type: 'buttons', body, header?, footer?, buttons: [{ id, title }] }
+ *   { type: 'list',    body, header?, footer?, buttonText, sections: [{ title, rows: [{ id, title, description }] }] }
+ *   { type: 'cta',     body, header?, footer?, buttons: [{ title, url } | { title, phone }] }
+ *   { type: 'poll',    body (the question), options: [{ id, title }], allowMultiple }
+ *
+ * Transports render what they can natively and fall back to toText(), a
+ * numbered plain-text version that matchReply() can read the answer from.
+ */
+
+const TYPES = ['buttons', 'list', 'cta', 'poll'];
+
+// Accept the normalized form, the legacy `buttons: [{ text, url }]` field or plain string options
+function normalize(input, text) {
+    if (!input) return null;
+
+    const interactive = Array.isArray(input) ? { buttons: input } : { ...input };
+    const toOption = (option, index) => typeof option === 'string'
+        ? { id: String(index + 1), title: option }
+        : { ...option, id: String(option.id || index + 1), title: option.title || option.text };
+
+    if (!interactive.type) {
+        if (interactive.options) interactive.type = 'poll';
+        else if (interactive.sections) interactive.type = 'list';
+        else interactive.type = (interactive.buttons || []).every(b => b.url || b.phone) ? 'cta' : 'buttons';
+    }
+
+    if (!TYPES.includes(interactive.type)) {
+        throw new Error(`Unknown interactive type "${interactive.type}"`);
+    }
+
+    interactive.body = interactive.body || interactive.question || text;
+    if (!interactive.body) {
+        throw new Error('Interactive message needs a body');
+    }
+
+    if (interactive.buttons) interactive.buttons = interactive.buttons.map(toOption);
+    if (interactive.options) interactive.options = interactive.options.map(toOption);
+    if (interactive.sections) {
+        let index = 0;
+        interactive.sections = interactive.sections.map(section => ({
+            title: section.title,
+            rows: (section.rows || []).map(row => toOption(row, index++))
+        }));
+    }
+
+    if (!options(interactive).length && interactive.type !== 'cta') {
+        throw new Error('Interactive message needs at least one option');
+    }
+
+    return interactive;
+}
+
+// Options a recipient can pick, in display order
+function options(interactive) {
+    switch (interactive.type) {
+        case 'buttons': return interactive.buttons || [];
+        case 'list': return (interactive.sections || []).flatMap(section => section.rows);
+        case 'poll': return interactive.options || [];
+        default: return [];
+    }
+}
+
+// Numbered plain-text version for transports that can't render the payload
+function toText(interactive) {
+    const lines = [];
+    if (interactive.header) lines.push(`*${interactive.header}*`);
+    lines.push(interactive.type === 'poll' ? `📊 *${interactive.body}*` : interactive.body, '');
+
+    if (interactive.type === 'cta') {
+        interactive.buttons.forEach(button => {
+            lines.push(button.url ? `🔗 ${button.title}: ${button.url}` : `📞 ${button.title}: ${button.phone}`);
+        });
+    } else if (interactive.type === 'list') {
+        let number = 1;
+        interactive.sections.forEach(section => {
+            if (section.title) lines.push(`*${section.title}*`);
+            section.rows.forEach(row => {
+                lines.push(`${number++}. ${row.title}${row.description ? ` - ${row.description}` : ''}`);
+            });
+        });
+    } else {
+        options(interactive).forEach((option, index) => lines.push(`${index + 1}. ${option.title}`));
+    }
+
+    if (interactive.type !== 'cta') {
+        lines.push('', interactive.allowMultiple
+            ? 'Reply with the numbers of your choices (e.g. 1,3)'
+            : 'Reply with the number of your choice');
+    }
+
+    if (interactive.footer) lines.push('', `_${interactive.footer}_`);
+    return lines.join('\n').trim();
+}
+
+// Options picked by a reply: "2", "1, 3" or an option title. Null when it isn't an answer
+function matchReply(interactive, text) {
+    const all = options(interactive);
+    const reply = String(text || '').trim();
+    if (!all.length || !reply) return null;
+
+    if (/^\d+(\s*[,\s]\s*\d+)*$/.test(reply)) {
+        const picked = reply.split(/[,\s]+/).map(n => all[Number(n) - 1]).filter(Boolean);
+        const limited = interactive.allowMultiple ? picked : picked.slice(0, 1);
+        return limited.length ? limited : null;
+    }
+
+    const byTitle = all.find(option => option.title.toLowerCase() === reply.toLowerCase());
+    return byTitle ? [byTitle] : null;
+}
+
+module.exports = { normalize, options, toText, matchReply };
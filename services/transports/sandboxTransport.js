@@ -0,0 +1,144 @@
+/**
+ * Sandbox Transport
+ * Dry-run mode for rehearsing campaigns: nothing reaches WhatsApp, every
+ * message is stored in the SandboxMessage collection instead. Latency,
+ * failures and delivery/read acks are simulated so progress UIs behave
+ * like they would against a real number.
+ */
+
+const crypto = require('crypto');
+const BaseTransport = require('./baseTransport');
+const SandboxMessage = require('../../models/SandboxMessage');
+
+class SandboxTransport extends BaseTransport {
+    constructor() {
+        super('sandbox');
+        this.connected = new Set();
+    }
+
+    // Defaults from the environment, overridable per user/campaign
+    getSettings(overrides = {}) {
+        return {
+            minLatency: Number(process.env.SANDBOX_MIN_LATENCY || 300),
+            maxLatency: Number(process.env.SANDBOX_MAX_LATENCY || 1500),
+            failureRate: Number(process.env.SANDBOX_FAILURE_RATE || 0.05),
+            deliveryDelay: Number(process.env.SANDBOX_DELIVERY_DELAY || 2000),
+            readDelay: Number(process.env.SANDBOX_READ_DELAY || 8000),
+            readRate: Number(process.env.SANDBOX_READ_RATE || 0.6),
+            ...overrides
+        };
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async connect(clientId) {
+        this.connected.add(clientId);
+        this.emit('ready', { clientId, phoneNumber: 'sandbox' });
+        return { success: true, message: 'Sandbox mode active - messages are recorded, not sent' };
+    }
+
+    async status(clientId) {
+        return {
+            state: 'connected',
+            phoneNumber: 'sandbox'
+        };
+    }
+
+    // Persist the message and schedule its simulated acks
+    async record(clientId, phone, type, payload, options = {}) {
+        const settings = this.getSettings(options.sandbox);
+        const latencyMs = Math.floor(Math.random() * (settings.maxLatency - settings.minLatency + 1)) + settings.minLatency;
+        await this.sleep(latencyMs);
+
+        const failed = Math.random() < settings.failureRate;
+        const message = await SandboxMessage.create({
+            userId: options.userId,
+            campaignId: options.campaignId,
+            clientId,
+            messageId: `sandbox_${crypto.randomBytes(8).toString('hex')}`,
+            to: phone,
+            type,
+            payload,
+            status: failed ? 'failed' : 'sent',
+            error: failed ? 'Simulated send failure' : undefined,
+            latencyMs,
+            sentAt: new Date()
+        });
+
+        if (failed) {
+            return { success: false, messageId: message.messageId, message: message.error, reason: 'sandbox_failure' };
+        }
+
+        this.emit('ack', { clientId, messageId: message.messageId, status: 'sent' });
+        this.scheduleAck(clientId, message.messageId, 'delivered', settings.deliveryDelay);
+        if (Math.random() < settings.readRate) {
+            this.scheduleAck(clientId, message.messageId, 'read', settings.deliveryDelay + settings.readDelay);
+        }
+
+        return { success: true, messageId: message.messageId };
+    }
+
+    // Flip the stored status after a delay and emit the ack
+    scheduleAck(clientId, messageId, status, delay) {
+        const timer = setTimeout(async () => {
+            try {
+                await SandboxMessage.updateOne(
+                    { messageId },
+                    { status, [`${status}At`]: new Date() }
+                );
+                this.emit('ack', { clientId, messageId, status });
+            } catch (error) {
+                console.error('Sandbox ack error:', error.message);
+            }
+        }, delay);
+        timer.unref();
+    }
+
+    async sendText(clientId, phone, text, options = {}) {
+        return await this.record(clientId, phone, 'text', { text }, options);
+    }
+
+    async sendMedia(clientId, phone, media, options = {}) {
+        return await this.record(clientId, phone, 'media', media, options);
+    }
+
+    async sendTemplate(clientId, phone, template, options = {}) {
+        return await this.record(clientId, phone, 'template', { template }, options);
+    }
+
+    async sendInteractive(clientId, phone, interactive, options = {}) {
+        return await this.record(clientId, phone, 'interactive', { interactive }, options);
+    }
+
+    async sendLocation(clientId, phone, location, options = {}) {
+        return await this.record(clientId, phone, 'location', { location }, options);
+    }
+
+    async sendContactCard(clientId, phone, card, options = {}) {
+        return await this.record(clientId, phone, 'contact', { contactCard: card }, options);
+    }
+
+    async sendSticker(clientId, phone, sticker, options = {}) {
+        return await this.record(clientId, phone, 'sticker', sticker, options);
+    }
+
+    async sendGroupMessage(clientId, groupJid, message, options = {}) {
+        return await this.record(clientId, groupJid, 'group', message, options);
+    }
+
+    // Anything shorter than a national number is treated as unregistered
+    async checkNumber(clientId, phone) {
+        await this.sleep(this.getSettings().minLatency);
+        const exists = phone.length >= 10;
+        return { success: true, exists, number: exists ? phone : undefined };
+    }
+
+    async disconnect(clientId) {
+        this.connected.delete(clientId);
+        return { success: true };
+    }
+}
+
+module.exports = SandboxTransport;
@@ -0,0 +1,61 @@
+/**
+ * Contact card helpers shared by the transports.
+ *
+ * Normalized card:
+ *   { name, phones: ['919876543210'], email?, organization?, title? }
+ *
+ * WhatsApp Web sends cards as vCard text (toVCard), the Cloud API takes the
+ * fields as JSON. The waid parameter makes the card open a WhatsApp chat.
+ */
+
+// Card from a Contact document (or any object with name / phone / email)
+function fromContact(contact) {
+    const phones = [contact.whatsapp?.number || contact.phone, contact.alternatePhone]
+        .map(phone => String(phone || '').replace(/[^0-9]/g, ''))
+        .filter(Boolean);
+
+    return normalize({
+        name: contact.name,
+        phones: [...new Set(phones)],
+        email: contact.email,
+        organization: contact.organization || contact.customFields?.organization,
+        title: contact.title || contact.customFields?.title
+    });
+}
+
+function normalize(input) {
+    if (!input) return null;
+
+    const phones = (input.phones || [input.phone])
+        .map(phone => String(phone || '').replace(/[^0-9]/g, ''))
+        .filter(Boolean);
+
+    if (!input.name || !phones.length) {
+        throw new Error('Contact card needs a name and a phone number');
+    }
+
+    return {
+        name: String(input.name).trim(),
+        phones,
+        email: input.email || undefined,
+        organization: input.organization || undefined,
+        title: input.title || undefined
+    };
+}
+
+// Escape the characters vCard treats as separators
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function toVCard(card) {
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escape(card.name)}`, `N:;${escape(card.name)};;;`];
+    if (card.organization) lines.push(`ORG:${escape(card.organization)}`);
+    if (card.title) lines.push(`TITLE:${escape(card.title)}`);
+    card.phones.forEach(phone => lines.push(`TEL;type=CELL;waid=${phone}:+${phone}`));
+    if (card.email) lines.push(`EMAIL:${escape(card.email)}`);
+    lines.push('END:VCARD');
+    return lines.join('\n');
+}
+
+module.exports = { fromContact, normalize, toVCard };
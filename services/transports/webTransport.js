@@ -0,0 +1,432 @@
+/**
+ * whatsapp-web.js Transport
+ * Drives a real WhatsApp Web session through Puppeteer.
+ * Puppeteer is not supported on Android/Termux, so the library is loaded
+ * lazily and only required when this transport is actually used.
+ *
+ * Session credentials go to MongoDB (encrypted) through RemoteAuth unless
+ * WHATSAPP_AUTH_STORE=local.
+ */
+
+const BaseTransport = require('./baseTransport');
+const { toVCard } = require('./vcard');
+const MongoAuthStore = require('../mongoAuthStore');
+
+class WebTransport extends BaseTransport {
+    constructor() {
+        super('web');
+        this.clients = new Map();
+        this.states = new Map();
+        this.pairing = new Map();
+        this.store = new MongoAuthStore();
+    }
+
+    // RemoteAuth backed by MongoDB, or plain LocalAuth folders
+    async createAuthStrategy(wweb, clientId) {
+        if (process.env.WHATSAPP_AUTH_STORE === 'local') {
+            return new wweb.LocalAuth({ clientId, dataPath: this.store.dataPath });
+        }
+
+        this.store.getKey();
+        await this.store.migrateLocalSessions();
+
+        return new wweb.RemoteAuth({
+            clientId,
+            store: this.store,
+            dataPath: this.store.dataPath,
+            backupSyncIntervalMs: Number(process.env.WHATSAPP_AUTH_SYNC_INTERVAL || 300000)
+        });
+    }
+
+    // Load whatsapp-web.js on demand
+    loadLibrary() {
+        try {
+            return require('whatsapp-web.js');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async connect(clientId, options = {}) {
+        if (this.clients.has(clientId)) {
+            return { success: false, message: 'Client already exists' };
+        }
+
+        const wweb = this.loadLibrary();
+        if (!wweb) {
+            return { success: false, message: 'whatsapp-web.js is not installed on this server' };
+        }
+
+        try {
+            const client = new wweb.Client({
+                authStrategy: await this.createAuthStrategy(wweb, clientId),
+                qrMaxRetries: Number(process.env.WHATSAPP_QR_MAX_ATTEMPTS || 5),
+                puppeteer: {
+                    headless: true,
+                    args: ['--no-sandbox', '--disable-setuid-sandbox']
+                }
+            });
+
+            client.on('qr', async (qr) => {
+                // Pairing-code logins ask for the code once the login page is up
+                const pairing = this.pairing.get(clientId);
+                if (pairing) {
+                    if (!pairing.requested) {
+                        pairing.requested = true;
+                        await this.emitPairingCode(clientId, client, pairing.phone);
+                    }
+                    return;
+                }
+
+                console.log(`📱 New QR code for ${clientId}`);
+                this.emit('qr', { clientId, qr });
+            });
+
+            client.on('ready', () => {
+                console.log(`✅ WhatsApp ready for ${clientId}`);
+                this.pairing.delete(clientId);
+                this.states.set(clientId, 'connected');
+                this.emit('ready', { clientId, phoneNumber: client.info?.wid?.user });
+            });
+
+            client.on('disconnected', (reason) => {
+                this.clients.delete(clientId);
+                this.states.delete(clientId);
+                this.pairing.delete(clientId);
+                this.emit('disconnected', { clientId, reason });
+            });
+
+            client.on('change_state', (state) => {
+                this.emit('state', { clientId, state });
+            });
+
+            client.on('auth_failure', (message) => {
+                this.emit('state', { clientId, state: 'auth_failure', reason: message });
+            });
+
+            client.on('message', async (msg) => {
+                if (msg.fromMe || msg.from === 'status@broadcast') return;
+
+                const isGroup = msg.from.endsWith('@g.us');
+                const from = await this.senderNumber(client, isGroup ? msg.author : msg.from);
+                if (!from) {
+                    console.warn(`Skipping message ${msg.id?._serialized} from ${msg.author || msg.from}: sender number is hidden`);
+                    return;
+                }
+
+                this.emit('message', {
+                    clientId,
+                    messageId: msg.id?._serialized,
+                    from,
+                    name: msg._data?.notifyName,
+                    isGroup,
+                    groupId: isGroup ? msg.from : undefined,
+                    body: msg.body,
+                    type: msg.type,
+                    hasMedia: msg.hasMedia,
+                    // Our own messages are serialized as true_<chat>_<stanza id>
+                    contextId: msg.hasQuotedMsg && msg._data?.quotedStanzaID ? `true_${msg.from}_${msg._data.quotedStanzaID}` : undefined,
+                    timestamp: new Date(msg.timestamp * 1000)
+                });
+            });
+
+            // Poll answers arrive as vote updates on the poll we sent
+            client.on('vote_update', async (vote) => {
+                const selections = (vote.selectedOptions || []).map(option => option.name);
+                if (!vote.voter || !selections.length) return;
+
+                const from = await this.senderNumber(client, vote.voter);
+                if (!from) return;
+
+                this.emit('message', {
+                    clientId,
+                    from,
+                    isGroup: false,
+                    body: selections.join(', '),
+                    type: 'poll_vote',
+                    reply: { selections },
+                    contextId: vote.parentMessage?.id?._serialized,
+                    timestamp: new Date(vote.interractedAtTs || Date.now())
+                });
+            });
+
+            client.on('message_ack', (msg, ack) => {
+                this.emit('ack', {
+                    clientId,
+                    messageId: msg.id?._serialized,
+                    status: WebTransport.ACK_STATUS[ack] || 'pending'
+                });
+            });
+
+            if (options.pairingPhone) {
+                this.pairing.set(clientId, { phone: options.pairingPhone, requested: false });
+            }
+
+            this.clients.set(clientId, client);
+            this.states.set(clientId, 'connecting');
+            await client.initialize();
+
+            return { success: true, message: 'Initialized successfully' };
+        } catch (error) {
+            this.clients.delete(clientId);
+            this.states.delete(clientId);
+            this.pairing.delete(clientId);
+            return { success: false, message: error.message };
+        }
+    }
+
+    // Ask WhatsApp for an 8-character link code and emit it
+    async emitPairingCode(clientId, client, phone) {
+        try {
+            const code = await client.requestPairingCode(phone);
+            console.log(`🔗 Pairing code ready for ${clientId}`);
+            this.emit('pairing_code', { clientId, code });
+        } catch (error) {
+            this.emit('pairing_code', { clientId, error: error.message });
+        }
+    }
+
+    async requestPairingCode(clientId, phone) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.off('pairing_code', onCode);
+                resolve({ success: false, message: 'Timed out waiting for pairing code' });
+            }, 60000);
+
+            const onCode = (data) => {
+                if (data.clientId !== clientId) return;
+                clearTimeout(timer);
+                this.off('pairing_code', onCode);
+                resolve(data.error ? { success: false, message: data.error } : { success: true, code: data.code });
+            };
+            this.on('pairing_code', onCode);
+
+            const client = this.clients.get(clientId);
+            if (client) {
+                // Session already waiting on a QR, switch it to a code
+                this.pairing.set(clientId, { phone, requested: true });
+                this.emitPairingCode(clientId, client, phone);
+                return;
+            }
+
+            this.connect(clientId, { pairingPhone: phone }).then(result => {
+                if (!result.success) {
+                    onCode({ clientId, error: result.message });
+                }
+            });
+        });
+    }
+
+    // Phone digits of a sender JID. Privacy-hidden @lid IDs carry no number, so it is looked up
+    // (null when WhatsApp won't reveal it, such senders must not become contacts)
+    async senderNumber(client, jid) {
+        if (!jid) return null;
+        if (jid.endsWith('@c.us')) return jid.replace(/@.*$/, '');
+        if (!jid.endsWith('@lid')) return null;
+
+        try {
+            if (typeof client.getContactLidAndPhone === 'function') {
+                const [ids] = await client.getContactLidAndPhone([jid]);
+                return ids?.pn ? ids.pn.replace(/@.*$/, '') : null;
+            }
+            const contact = await client.getContactById(jid);
+            return contact?.id?.server === 'c.us' ? contact.id.user : null;
+        } catch (error) {
+            console.error('Sender lookup error:', error.message);
+            return null;
+        }
+    }
+
+    async status(clientId) {
+        const client = this.clients.get(clientId);
+        return {
+            state: this.states.get(clientId) || 'disconnected',
+            phoneNumber: client?.info?.wid?.user
+        };
+    }
+
+    async sendText(clientId, phone, text) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const sent = await client.sendMessage(`${phone}@c.us`, text);
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async sendMedia(clientId, phone, media) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const { MessageMedia } = this.loadLibrary();
+        const file = await MessageMedia.fromUrl(media.mediaUrl, { unsafeMime: true });
+        const sent = await client.sendMessage(`${phone}@c.us`, file, {
+            caption: media.caption,
+            sendMediaAsDocument: media.mediaType === 'document'
+        });
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async sendLocation(clientId, phone, location) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const { Location } = this.loadLibrary();
+        const pin = new Location(location.latitude, location.longitude, {
+            name: location.name,
+            address: location.address,
+            url: location.url
+        });
+        const sent = await client.sendMessage(`${phone}@c.us`, pin);
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    // vCard text is turned into a contact card by the library (parseVCards)
+    async sendContactCard(clientId, phone, card) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const sent = await client.sendMessage(`${phone}@c.us`, toVCard(card), { parseVCards: true });
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async sendSticker(clientId, phone, sticker) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const { MessageMedia } = this.loadLibrary();
+        const file = await MessageMedia.fromUrl(sticker.stickerUrl, { unsafeMime: true });
+        const sent = await client.sendMessage(`${phone}@c.us`, file, { sendMediaAsSticker: true });
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async checkNumber(clientId, phone) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        // getNumberId also resolves country quirks (e.g. the extra 9 in Brazil/Mexico)
+        const numberId = await client.getNumberId(phone);
+        return { success: true, exists: !!numberId, number: numberId?.user };
+    }
+
+    // Polls render natively; buttons and lists were withdrawn from WhatsApp Web, so they use the text fallback
+    async sendInteractive(clientId, phone, interactive, options = {}) {
+        if (interactive.type !== 'poll') {
+            return super.sendInteractive(clientId, phone, interactive, options);
+        }
+
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const { Poll } = this.loadLibrary();
+        const poll = new Poll(interactive.body, interactive.options.map(option => option.title), {
+            allowMultipleAnswers: !!interactive.allowMultiple
+        });
+        const sent = await client.sendMessage(`${phone}@c.us`, poll);
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async sendGroupMessage(clientId, groupJid, message) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const sendOptions = {};
+        let content = message.text;
+
+        // Mentions without @tags in the text notify everyone without cluttering the post
+        if (message.mentionAll) {
+            const chat = await client.getChatById(groupJid);
+            sendOptions.mentions = (chat.participants || []).map(p => p.id._serialized);
+        }
+
+        if (message.mediaUrl) {
+            const { MessageMedia } = this.loadLibrary();
+            content = await MessageMedia.fromUrl(message.mediaUrl, { unsafeMime: true });
+            sendOptions.caption = message.caption || message.text;
+            sendOptions.sendMediaAsDocument = message.mediaType === 'document';
+        }
+
+        const sent = await client.sendMessage(groupJid, content, sendOptions);
+        return { success: true, messageId: sent?.id?._serialized };
+    }
+
+    async getGroups(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const me = client.info?.wid?._serialized;
+        const chats = await client.getChats();
+        const groups = chats
+            .filter(chat => chat.isGroup)
+            .map(chat => {
+                const self = (chat.participants || []).find(p => p.id._serialized === me);
+                return {
+                    id: chat.id._serialized,
+                    name: chat.name,
+                    participantCount: (chat.participants || []).length,
+                    isAdmin: !!(self?.isAdmin || self?.isSuperAdmin)
+                };
+            });
+
+        return { success: true, groups };
+    }
+
+    async getGroupParticipants(clientId, groupId) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return { success: false, message: 'Not connected', reason: 'session_not_ready' };
+        }
+
+        const chat = await client.getChatById(groupId);
+        if (!chat?.isGroup) {
+            return { success: false, message: 'Group not found' };
+        }
+
+        // Members in privacy-hidden (@lid) form carry no phone number
+        const all = chat.participants || [];
+        const participants = all
+            .filter(p => p.id.server === 'c.us')
+            .map(p => ({ phone: p.id.user, isAdmin: !!(p.isAdmin || p.isSuperAdmin), isSuperAdmin: !!p.isSuperAdmin }));
+
+        return { success: true, name: chat.name, participants, hidden: all.length - participants.length };
+    }
+
+    async disconnect(clientId) {
+        const client = this.clients.get(clientId);
+        if (client) {
+            await client.destroy();
+            this.clients.delete(clientId);
+            this.states.delete(clientId);
+        }
+        return { success: true };
+    }
+}
+
+// whatsapp-web.js ack codes
+WebTransport.ACK_STATUS = {
+    '-1': 'failed',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'read'
+};
+
+module.exports = WebTransport;
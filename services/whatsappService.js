@@ -1,48 +1,450 @@
 /**
- * WhatsApp Service - Placeholder
- * Note: WhatsApp Web.js requires Puppeteer which is not supported on Android/Termux
- * This will be enabled when deploying to Railway/production server
+ * WhatsApp Service
+ * Single entry point for everything WhatsApp. Routes and services call this
+ * facade with (userId, phone, payload, options); the actual delivery is done by the
+ * transport adapter chosen with WHATSAPP_TRANSPORT (web | cloud | fake).
+ *
+ * Every user can link several numbers: each one is a WhatsAppSession and
+ * its ID is the client ID handed to the transport. Calls without a
+ * sessionId use the user's primary session. The SessionSupervisor tracks
+ * their health, reconnects them, and sends are refused unless a session is ready.
+ *
+ * Users (or single campaigns) can switch to the sandbox transport, which
+ * records messages instead of sending them.
  */
 
-class WhatsAppService {
+const EventEmitter = require('events');
+const { createTransport } = require('./transports');
+const interactive = require('./transports/interactive');
+const vcard = require('./transports/vcard');
+const SessionSupervisor = require('./sessionSupervisor');
+const phoneUtils = require('../utils/phone');
+const User = require('../models/User');
+const WhatsAppSession = require('../models/WhatsAppSession');
+
+const TRANSPORT_EVENTS = ['qr', 'pairing_code', 'ready', 'disconnected', 'state', 'message', 'ack'];
+
+class WhatsAppService extends EventEmitter {
     constructor() {
-        console.log('⚠️  WhatsApp Service: Disabled in Termux (Puppeteer not supported)');
-        console.log('✅ Will be enabled automatically on Railway deployment');
+        super();
+        this.defaultTransport = process.env.WHATSAPP_TRANSPORT || 'web';
+        this.transports = new Map();
+        this.userSettings = new Map();
+        this.sessionOwners = new Map();
+
+        const transport = this.getTransport(this.defaultTransport);
+        this.supervisor = new SessionSupervisor(this);
+        console.log(`✅ WhatsApp Service initialized (${transport.name} transport)`);
     }
 
-    async initializeClient(userId) {
-        return {
-            success: false,
-            message: 'WhatsApp temporarily disabled (Termux limitation). Will work on Railway.'
-        };
+    // Create transports on first use and re-emit their events
+    getTransport(name) {
+        if (!this.transports.has(name)) {
+            const transport = createTransport(name);
+            TRANSPORT_EVENTS.forEach(event => {
+                transport.on(event, data => {
+                    this.emit(event, {
+                        ...data,
+                        sessionId: data.clientId,
+                        userId: data.userId || this.sessionOwners.get(data.clientId) || data.clientId,
+                        mode: transport.name
+                    });
+                });
+            });
+            this.transports.set(name, transport);
+        }
+        return this.transports.get(name);
     }
 
-    getClient(userId) {
-        return null;
+    // Accept ObjectIds, populated documents or plain strings
+    toId(userId) {
+        return String(userId?._id || userId);
     }
 
-    async sendMessage(userId, phone, message) {
+    // Digits with country code ("919876543210") as WhatsApp expects, null for invalid numbers
+    formatPhone(phone) {
+        return phoneUtils.toDigits(phone);
+    }
+
+    // Normalize a string or object payload to
+    // { text, mediaUrl, mediaType, caption, template, interactive, location, contactCard, stickerUrl }
+    toPayload(payload) {
+        return typeof payload === 'string' ? { text: payload } : { ...payload };
+    }
+
+    // Cached per-user mode ('live' | 'sandbox'), sandbox overrides and Cloud API credentials
+    async getUserSettings(userId) {
+        const id = this.toId(userId);
+        if (!this.userSettings.has(id)) {
+            const user = await User.findById(id).select('+whatsapp.cloud.accessToken').lean();
+            this.userSettings.set(id, {
+                mode: user?.whatsapp?.mode || 'live',
+                sandbox: user?.whatsapp?.sandbox || {},
+                cloud: user?.whatsapp?.cloud || {}
+            });
+        }
+        return this.userSettings.get(id);
+    }
+
+    // Forget cached settings after the user document changed
+    clearUserSettings(userId) {
+        this.userSettings.delete(this.toId(userId));
+    }
+
+    // Switch a user between live and sandbox sending
+    async setMode(userId, mode, sandbox = {}) {
+        const id = this.toId(userId);
+        await User.findByIdAndUpdate(id, {
+            'whatsapp.mode': mode,
+            'whatsapp.sandbox': sandbox
+        }, { runValidators: true });
+        this.clearUserSettings(id);
+        return { success: true, mode };
+    }
+
+    // The requested session, else the user's primary one (created on connect when missing)
+    async getSession(userId, sessionId, create = false) {
+        const id = this.toId(userId);
+
+        if (sessionId) {
+            const session = await WhatsAppSession.findOne({ _id: sessionId, userId: id });
+            if (!session) {
+                throw new Error('WhatsApp session not found');
+            }
+            return session;
+        }
+
+        const session = await WhatsAppSession.findOne({ userId: id }).sort('-isPrimary createdAt');
+        if (session || !create) {
+            return session;
+        }
+
+        return await WhatsAppSession.create({ userId: id, name: 'default', isPrimary: true });
+    }
+
+    // Pick the transport and session for a call: options.mode (e.g. a sandbox campaign) wins over the user setting
+    async resolve(userId, options = {}) {
+        const settings = await this.getUserSettings(userId);
+        const mode = options.mode || settings.mode;
+        const transport = mode === 'sandbox' ? this.getTransport('sandbox') : this.getTransport(this.defaultTransport);
+        const session = await this.getSession(userId, options.sessionId, options.create);
+        const clientId = session ? session.id : this.toId(userId);
+
+        this.sessionOwners.set(clientId, this.toId(userId));
+
         return {
-            success: false,
-            message: 'WhatsApp disabled in Termux environment'
+            transport,
+            session,
+            clientId,
+            event: { sessionId: clientId, userId: this.toId(userId), mode: transport.name },
+            options: {
+                ...options,
+                userId: this.toId(userId),
+                sandbox: { ...settings.sandbox, ...options.sandbox },
+                cloud: settings.cloud
+            }
         };
     }
 
-    async sendBulkMessages(userId, recipients, message) {
+    // Refuse to send through a session that isn't healthy
+    checkReady(resolved) {
+        const { session, transport } = resolved;
+        if (!session || transport.name === 'sandbox' || this.supervisor.isReady(session)) {
+            return null;
+        }
+
+        const state = this.supervisor.getState(session);
         return {
             success: false,
-            message: 'WhatsApp disabled in Termux environment',
-            results: {
-                total: recipients.length,
-                sent: 0,
-                failed: recipients.length,
-                failedNumbers: recipients
-            }
+            message: `WhatsApp session "${session.name}" is ${state.replace(/_/g, ' ')}, sending is paused until it is ready`,
+            reason: 'session_not_ready',
+            state
         };
     }
 
-    async disconnectClient(userId) {
-        return { success: true, message: 'No active client' };
+    // Run a transport call and always resolve to { success, ... }
+    async run(action, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            console.error(`WhatsApp ${action} error:`, error.message);
+            return { success: false, message: error.message };
+        }
+    }
+
+    async connect(userId, options = {}) {
+        return this.run('connect', async () => {
+            const resolved = await this.resolve(userId, { ...options, create: true });
+            await this.supervisor.starting(resolved.event);
+            const result = await resolved.transport.connect(resolved.clientId, resolved.options);
+            return { ...result, sessionId: resolved.clientId };
+        });
+    }
+
+    // Link a session by phone number: returns the 8-character code to enter on the phone
+    async requestPairingCode(userId, phone, options = {}) {
+        const number = this.formatPhone(phone);
+        if (!number) {
+            return { success: false, message: 'Valid phone number required' };
+        }
+
+        return this.run('pair', async () => {
+            const resolved = await this.resolve(userId, { ...options, create: true });
+            const result = await resolved.transport.requestPairingCode(resolved.clientId, number, resolved.options);
+            if (!result.success) {
+                return result;
+            }
+
+            const code = result.code.replace(/[^A-Z0-9]/gi, '').toUpperCase();
+            const expiresAt = new Date(Date.now() + Number(process.env.WHATSAPP_PAIRING_TTL || 180) * 1000);
+
+            if (resolved.session) {
+                resolved.session.pairingCode = code;
+                resolved.session.pairingCodeExpiresAt = expiresAt;
+                await resolved.session.save();
+                await this.supervisor.starting({ ...resolved.event, reason: 'Waiting for pairing code entry' });
+            }
+
+            return {
+                success: true,
+                sessionId: resolved.clientId,
+                code,
+                formatted: `${code.slice(0, 4)}-${code.slice(4)}`,
+                expiresAt
+            };
+        });
+    }
+
+    async getStatus(userId, options = {}) {
+        const { transport, clientId } = await this.resolve(userId, options);
+        const status = await transport.status(clientId);
+        return { mode: transport.name, sessionId: clientId, ...status };
+    }
+
+    async sendText(userId, phone, text, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !text) {
+            return { success: false, message: 'Valid phone number and message required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendText(resolved.clientId, to, text, resolved.options);
+        });
+    }
+
+    async sendMedia(userId, phone, media, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !media?.mediaUrl) {
+            return { success: false, message: 'Valid phone number and media URL required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendMedia(resolved.clientId, to, media, resolved.options);
+        });
+    }
+
+    // Send an approved template ({ name, language, components }), Cloud API only
+    async sendTemplate(userId, phone, template, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !template?.name) {
+            return { success: false, message: 'Valid phone number and template name required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendTemplate(resolved.clientId, to, template, resolved.options);
+        });
+    }
+
+    // Send buttons, a list, URL/call buttons or a poll (see transports/interactive.js).
+    // Transports that can't render the payload send numbered text options instead
+    async sendInteractive(userId, phone, payload, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !payload) {
+            return { success: false, message: 'Valid phone number and interactive payload required' };
+        }
+        return this.run('send', async () => {
+            const normalized = interactive.normalize(payload, options.text);
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendInteractive(resolved.clientId, to, normalized, resolved.options);
+        });
+    }
+
+    // Send a map pin ({ latitude, longitude, name, address, url })
+    async sendLocation(userId, phone, location, options = {}) {
+        const to = this.formatPhone(phone);
+        const latitude = Number(location?.latitude);
+        const longitude = Number(location?.longitude);
+        if (!to || !location || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+            return { success: false, message: 'Valid phone number and valid latitude/longitude required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendLocation(resolved.clientId, to, { ...location, latitude, longitude }, resolved.options);
+        });
+    }
+
+    // Send a contact card, from a Contact document or { name, phone(s), email, organization }
+    async sendContactCard(userId, phone, contact, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !contact) {
+            return { success: false, message: 'Valid phone number and contact required' };
+        }
+        return this.run('send', async () => {
+            const card = contact.phones ? vcard.normalize(contact) : vcard.fromContact(contact);
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendContactCard(resolved.clientId, to, card, resolved.options);
+        });
+    }
+
+    // Send a WebP sticker by URL
+    async sendSticker(userId, phone, stickerUrl, options = {}) {
+        const to = this.formatPhone(phone);
+        if (!to || !stickerUrl) {
+            return { success: false, message: 'Valid phone number and sticker URL required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendSticker(resolved.clientId, to, { stickerUrl }, resolved.options);
+        });
+    }
+
+    // Locations, contact cards and stickers have no caption, so text goes out just before them
+    async sendAfterText(userId, phone, text, options, send) {
+        if (text) {
+            const intro = await this.sendText(userId, phone, text, options);
+            if (!intro.success) return intro;
+        }
+        return send();
+    }
+
+    // Send any payload, picking template, interactive, location, contact card, sticker,
+    // media or text based on its content
+    async sendMessage(userId, phone, payload, options = {}) {
+        const message = this.toPayload(payload);
+
+        if (message.template) {
+            return this.sendTemplate(userId, phone, message.template, options);
+        }
+
+        // `buttons` is the older campaign field for the same thing
+        const interactivePayload = message.interactive || (message.buttons?.length ? message.buttons : null);
+        if (interactivePayload) {
+            return this.sendInteractive(userId, phone, interactivePayload, { ...options, text: message.text });
+        }
+
+        if (message.location) {
+            return this.sendAfterText(userId, phone, message.text, options,
+                () => this.sendLocation(userId, phone, message.location, options));
+        }
+
+        if (message.contactCard) {
+            return this.sendAfterText(userId, phone, message.text, options,
+                () => this.sendContactCard(userId, phone, message.contactCard, options));
+        }
+
+        if (message.stickerUrl) {
+            return this.sendAfterText(userId, phone, message.text, options,
+                () => this.sendSticker(userId, phone, message.stickerUrl, options));
+        }
+
+        if (message.mediaUrl) {
+            return this.sendMedia(userId, phone, {
+                mediaUrl: message.mediaUrl,
+                mediaType: message.mediaType,
+                caption: message.caption || message.text
+            }, options);
+        }
+
+        return this.sendText(userId, phone, message.text, options);
+    }
+
+    // Post into a group by JID ({ text, mediaUrl, mediaType, caption, mentionAll })
+    async sendToGroup(userId, groupJid, payload, options = {}) {
+        const message = this.toPayload(payload);
+        if (!/@g\.us$/.test(groupJid || '') || (!message.text && !message.mediaUrl)) {
+            return { success: false, message: 'Group JID and message required' };
+        }
+        return this.run('send', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.sendGroupMessage(resolved.clientId, groupJid, message, resolved.options);
+        });
+    }
+
+    // Registration lookup through the session: { success, exists, number }
+    async checkNumber(userId, phone, options = {}) {
+        const number = this.formatPhone(phone);
+        if (!number) {
+            return { success: false, message: 'Valid phone number required' };
+        }
+        return this.run('check', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.checkNumber(resolved.clientId, number, resolved.options);
+        });
+    }
+
+    async getGroups(userId, options = {}) {
+        return this.run('groups', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.getGroups(resolved.clientId, resolved.options);
+        });
+    }
+
+    async getGroupParticipants(userId, groupId, options = {}) {
+        return this.run('groups', async () => {
+            const resolved = await this.resolve(userId, options);
+            const refused = this.checkReady(resolved);
+            if (refused) return refused;
+            return resolved.transport.getGroupParticipants(resolved.clientId, groupId, resolved.options);
+        });
+    }
+
+    // Cloud API webhook: find the owner of each phone number ID and let the transport emit events
+    async handleCloudWebhook(body) {
+        const transport = this.getTransport('cloud');
+
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                const phoneNumberId = change.value?.metadata?.phone_number_id;
+                if (!phoneNumberId) continue;
+
+                const user = await User.findOne({ 'whatsapp.cloud.phoneNumberId': phoneNumberId }).select('_id');
+                if (!user) continue;
+
+                const session = await this.getSession(user._id);
+                const clientId = session ? session.id : this.toId(user._id);
+                this.sessionOwners.set(clientId, this.toId(user._id));
+
+                transport.handleWebhookChange(clientId, change.value);
+            }
+        }
+    }
+
+    async disconnect(userId, options = {}) {
+        return this.run('disconnect', async () => {
+            const { transport, clientId, event } = await this.resolve(userId, options);
+            await this.supervisor.stop(event);
+            return transport.disconnect(clientId);
+        });
     }
 }
 
@@ -0,0 +1,150 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * BOT COMMAND AUTHORIZATION TEST
+ * Checks who may run admin bot commands, and through which
+ * sessions. Runs without MongoDB or WhatsApp: lookups are stubbed
+ * and replies are recorded instead of sent.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+process.env.ADMIN_NUMBER = '9876543210';
+process.env.ADMIN_EMAIL = 'admin@example.com';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const AdminUser = require('./models/AdminUser');
+const BotCommand = require('./models/BotCommand');
+const User = require('./models/User');
+const whatsappService = require('./services/whatsappService');
+const botCommandService = require('./services/botCommandService');
+
+console.log('🔍 Running Bot Command Authorization Tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`   ✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+        failed++;
+    }
+}
+
+const lean = value => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+const adminAccount = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'user' };
+const roleAdmin = { _id: new mongoose.Types.ObjectId(), email: 'ops@example.com', role: 'admin' };
+const customer = { _id: new mongoose.Types.ObjectId(), email: 'shop@example.com', role: 'user' };
+const users = [adminAccount, roleAdmin, customer];
+User.findById = id => lean(users.find(user => String(user._id) === String(id)) || null);
+
+// One extra admin added with /admin add, allowed /stats only
+AdminUser.findOne = query => lean(query.whatsappNumber === '+919812345678' && query.isActive
+    ? { whatsappNumber: '+919812345678', permissions: ['stats'] }
+    : null);
+
+let logged = [];
+let replies = [];
+BotCommand.create = async entry => { logged.push(entry); return entry; };
+whatsappService.sendText = async (userId, phone, text) => {
+    replies.push({ userId: String(userId), phone, text });
+    return { success: true };
+};
+
+function message(overrides = {}) {
+    return {
+        userId: String(adminAccount._id),
+        sessionId: String(new mongoose.Types.ObjectId()),
+        mode: 'web',
+        from: '919876543210',
+        body: '/help',
+        isGroup: false,
+        ...overrides
+    };
+}
+
+async function handle(overrides) {
+    logged = [];
+    replies = [];
+    await botCommandService.handleMessage(message(overrides));
+}
+
+(async () => {
+    console.log('🔐 Transports and sessions');
+
+    await test('ADMIN_NUMBER on the admin account\'s web session runs the command', async () => {
+        await handle();
+        assert.strictEqual(logged[0].status, 'executed');
+        assert.strictEqual(replies.length, 1);
+        assert.strictEqual(replies[0].phone, '+919876543210');
+    });
+
+    await test('the signed Cloud webhook counts as authenticated', async () => {
+        await handle({ mode: 'cloud' });
+        assert.strictEqual(logged[0].status, 'executed');
+    });
+
+    for (const mode of ['sandbox', 'fake', undefined]) {
+        await test(`${mode || 'unknown'} transport messages are ignored`, async () => {
+            await handle({ mode });
+            assert.strictEqual(logged.length, 0);
+            assert.strictEqual(replies.length, 0);
+        });
+    }
+
+    await test('a command sent to a customer\'s session is ignored', async () => {
+        await handle({ userId: String(customer._id) });
+        assert.strictEqual(logged.length, 0);
+        assert.strictEqual(replies.length, 0);
+    });
+
+    await test('a session of a role admin account accepts commands', async () => {
+        await handle({ userId: String(roleAdmin._id) });
+        assert.strictEqual(logged[0].status, 'executed');
+    });
+
+    await test('group messages are ignored', async () => {
+        await handle({ isGroup: true });
+        assert.strictEqual(logged.length, 0);
+    });
+
+    console.log('\n👤 Senders');
+
+    await test('strangers are logged as unauthorized and get no reply', async () => {
+        await handle({ from: '919999999999' });
+        assert.strictEqual(logged[0].status, 'unauthorized');
+        assert.strictEqual(replies.length, 0);
+    });
+
+    await test('an added admin may run its permitted commands only', async () => {
+        // /stats itself needs the database, so it may fail here, but it is not refused
+        await handle({ from: '919812345678', body: '/stats' });
+        assert.notStrictEqual(logged[0].status, 'unauthorized');
+
+        await handle({ from: '919812345678', body: '/help' });
+        assert.strictEqual(logged[0].status, 'unauthorized');
+
+        await handle({ from: '919812345678', body: '/admin list' });
+        assert.strictEqual(logged[0].status, 'unauthorized');
+        assert.match(replies[0].text, /not allowed/);
+    });
+
+    console.log('\n🤖 Auto-reply hand-off');
+
+    await test('isAdminCommand only claims commands on the admin\'s own session', async () => {
+        assert.strictEqual(await botCommandService.isAdminCommand('919876543210', '/stats', adminAccount._id), true);
+        assert.strictEqual(await botCommandService.isAdminCommand('919876543210', '/stats', customer._id), false);
+        assert.strictEqual(await botCommandService.isAdminCommand('919999999999', '/stats', adminAccount._id), false);
+        assert.strictEqual(await botCommandService.isAdminCommand('919876543210', 'stats', adminAccount._id), false);
+    });
+
+    console.log(`\n${failed ? '❌' : '✅'} ${passed} passed, ${failed} failed`);
+    process.exit(failed ? 1 : 0);
+})();
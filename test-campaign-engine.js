@@ -0,0 +1,94 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * CAMPAIGN ENGINE TEST
+ * Runs without MongoDB or WhatsApp: the Campaign model and the
+ * session lookup are stubbed, the real transports are used.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('./models/Campaign');
+const whatsappService = require('./services/whatsappService');
+const receiptService = require('./services/receiptService');
+const campaignEngine = require('./services/campaignEngine');
+const { createTransport } = require('./services/transports');
+
+console.log('🔍 Running Campaign Engine Tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`   ✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+        failed++;
+    }
+}
+
+// Record Campaign updates instead of writing them
+let updates = [];
+Campaign.updateOne = async (filter, update, options) => {
+    updates.push({ filter, update, options });
+    return { matchedCount: 1, modifiedCount: 1 };
+};
+
+let tracked = [];
+receiptService.track = async (...args) => { tracked.push(args); };
+
+// A session the supervisor still reports ready, whose client is already gone
+function useTransport(name) {
+    const transport = createTransport(name);
+    whatsappService.resolve = async (userId, options = {}) => ({
+        transport,
+        session: null,
+        clientId: 'gone',
+        event: { sessionId: 'gone', userId: String(userId), mode: name },
+        options: { ...options, cloud: {} }
+    });
+}
+
+function campaign() {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        userId: new mongoose.Types.ObjectId(),
+        message: { text: 'Hello {{name}}' },
+        antiBan: { batchSize: 10, cooldownPeriod: 0 }
+    };
+}
+
+const contact = { _id: new mongoose.Types.ObjectId(), phone: '919876543210', name: 'Asha' };
+const pacing = () => ({ attempts: [], lastAt: 0, batchSent: 0, cooldownUntil: 0 });
+
+(async () => {
+    console.log('📤 deliver() with an unconnected client');
+
+    for (const name of ['web', 'cloud']) {
+        await test(`${name}: recipient goes back to the queue instead of failing`, async () => {
+            updates = [];
+            tracked = [];
+            useTransport(name);
+
+            const state = pacing();
+            const status = await campaignEngine.deliver(campaign(), contact, {}, state);
+
+            assert.strictEqual(status, 'waiting');
+            assert.strictEqual(tracked.length, 0, 'no receipt should be tracked');
+            assert.strictEqual(state.batchSent, 0, 'the attempt should not count toward the batch');
+
+            const revert = updates[updates.length - 1].update;
+            assert.strictEqual(revert.$set['contacts.$.status'], 'queued');
+            assert.strictEqual(revert.$inc['execution.attemptedCount'], -1);
+        });
+    }
+
+    console.log(`\n${failed ? '❌' : '✅'} ${passed} passed, ${failed} failed`);
+    process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,141 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * DAY SPLIT TEST
+ * Checks how the campaign engine slices recipients into days and
+ * when each slice starts. Runs without MongoDB: campaign updates
+ * are recorded instead of written.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('./models/Campaign');
+const campaignEngine = require('./services/campaignEngine');
+const sendingWindow = require('./utils/sendingWindow');
+
+console.log('🔍 Running Day Split Tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`   ✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+        failed++;
+    }
+}
+
+let updates = [];
+Campaign.updateOne = async (filter, update) => {
+    updates.push(update);
+    return { matchedCount: 1, modifiedCount: 1 };
+};
+
+const IST = sendingWindow.resolve({ timezone: 'Asia/Kolkata' });
+const recipients = count => Array.from({ length: count }, () => ({}));
+const starts = splits => splits.map(split => split.startAt.toISOString());
+
+(async () => {
+    console.log('✂️  Slicing');
+
+    await test('count mode puts that many recipients in each day', () => {
+        const contacts = recipients(5);
+        const splits = campaignEngine.buildSplits(contacts, { mode: 'count', count: 2 }, new Date('2026-10-19T05:00:00Z'), IST);
+
+        assert.deepStrictEqual(splits.map(split => split.contactCount), [2, 2, 1]);
+        assert.deepStrictEqual(contacts.map(contact => contact.splitDay), [1, 1, 2, 2, 3]);
+        assert.ok(splits.every(split => split.status === 'pending' && split.sentCount === 0));
+    });
+
+    await test('percentage mode rounds the daily share up', () => {
+        const splits = campaignEngine.buildSplits(recipients(5), { mode: 'percentage', percentage: 30 }, new Date('2026-10-19T05:00:00Z'), IST);
+        assert.deepStrictEqual(splits.map(split => split.contactCount), [2, 2, 1]);
+    });
+
+    console.log('\n🕘 Start times');
+
+    await test('inside the window day 1 starts right away, later days when the window opens', () => {
+        // Monday 10:30 IST
+        const splits = campaignEngine.buildSplits(recipients(3), { mode: 'count', count: 1 }, new Date('2026-10-19T05:00:00Z'), IST);
+        assert.deepStrictEqual(starts(splits), ['2026-10-19T05:00:00.000Z', '2026-10-20T03:30:00.000Z', '2026-10-21T03:30:00.000Z']);
+        assert.deepStrictEqual(splits.map(split => split.date), ['2026-10-19', '2026-10-20', '2026-10-21']);
+    });
+
+    await test('after the window closes day 1 waits for the next morning', () => {
+        // Monday 22:30 IST
+        const splits = campaignEngine.buildSplits(recipients(2), { mode: 'count', count: 1 }, new Date('2026-10-19T17:00:00Z'), IST);
+        assert.deepStrictEqual(starts(splits), ['2026-10-20T03:30:00.000Z', '2026-10-21T03:30:00.000Z']);
+    });
+
+    await test('days outside the window are skipped', () => {
+        // Friday 10:30 IST, weekdays only: day 2 is Monday
+        const weekdays = sendingWindow.resolve({ days: [1, 2, 3, 4, 5], timezone: 'Asia/Kolkata' });
+        const splits = campaignEngine.buildSplits(recipients(2), { mode: 'count', count: 1 }, new Date('2026-10-23T05:00:00Z'), weekdays);
+        assert.deepStrictEqual(splits.map(split => split.date), ['2026-10-23', '2026-10-26']);
+    });
+
+    await test('slices follow the window timezone', () => {
+        // Monday 20:00 in London (BST), window 09:00-17:00 there
+        const london = sendingWindow.resolve({ start: '09:00', end: '17:00', timezone: 'Europe/London' });
+        const splits = campaignEngine.buildSplits(recipients(2), { mode: 'count', count: 1 }, new Date('2026-10-19T19:00:00Z'), london);
+        assert.deepStrictEqual(starts(splits), ['2026-10-20T08:00:00.000Z', '2026-10-21T08:00:00.000Z']);
+    });
+
+    console.log('\n📅 Running slices in order');
+
+    const campaign = splits => ({ _id: new mongoose.Types.ObjectId(), scheduleSplits: splits });
+
+    await test('only the first slice not done is opened, even when a later one is due', async () => {
+        updates = [];
+        const past = new Date(Date.now() - 60000);
+        const splits = [
+            { day: 1, startAt: past, status: 'completed' },
+            { day: 2, startAt: past, status: 'pending' },
+            { day: 3, startAt: past, status: 'pending' }
+        ];
+
+        const split = await campaignEngine.openSplits(campaign(splits));
+        assert.strictEqual(split.day, 2);
+        assert.strictEqual(split.status, 'running');
+        assert.strictEqual(splits[2].status, 'pending');
+        assert.deepStrictEqual(Object.keys(updates[0].$set), ['scheduleSplits.1.status', 'scheduleSplits.1.startedAt']);
+    });
+
+    await test('a slice that has not started is returned without opening it', async () => {
+        updates = [];
+        const later = new Date(Date.now() + 3600000);
+        const split = await campaignEngine.openSplits(campaign([{ day: 1, startAt: later, status: 'pending' }]));
+
+        assert.strictEqual(split.status, 'pending');
+        assert.strictEqual(updates.length, 0);
+    });
+
+    await test('closing a slice moves later slices that would share its day', async () => {
+        updates = [];
+        const past = new Date(Date.now() - 60000);
+        const splits = [
+            { day: 1, startAt: past, status: 'running' },
+            { day: 2, startAt: past, status: 'pending' },
+            { day: 3, startAt: new Date(Date.now() + 30 * 86400000), status: 'pending' }
+        ];
+        const always = sendingWindow.resolve({ start: '00:00', end: '23:59', timezone: 'Asia/Kolkata' });
+
+        await campaignEngine.closeSplits(campaign(splits), splits[0], always);
+
+        const tomorrow = sendingWindow.startOfDay(new Date(), 1, 'Asia/Kolkata');
+        assert.strictEqual(splits[0].status, 'completed');
+        assert.strictEqual(splits[1].startAt.getTime(), tomorrow.getTime());
+        assert.strictEqual(splits[1].date, sendingWindow.toDateString(tomorrow, 'Asia/Kolkata'));
+        assert.ok(!('scheduleSplits.2.startAt' in updates[0].$set), 'a slice already on a later day keeps its start');
+    });
+
+    console.log(`\n${failed ? '❌' : '✅'} ${passed} passed, ${failed} failed`);
+    process.exit(failed ? 1 : 0);
+})();
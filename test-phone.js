@@ -0,0 +1,85 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * PHONE NORMALIZATION TEST
+ * Checks utils/phone.js against the formats contacts arrive in.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const assert = require('assert');
+const phoneUtils = require('./utils/phone');
+
+console.log('🔍 Running Phone Normalization Tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`   ✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+        failed++;
+    }
+}
+
+// [input, options, expected E.164 or null]
+const cases = [
+    ['9876543210', {}, '+919876543210'],
+    ['98765 43210', {}, '+919876543210'],
+    ['(98765) 432-10', {}, '+919876543210'],
+    ['09876543210', {}, '+919876543210'],
+    ['919876543210', {}, '+919876543210'],
+    ['+91 98765 43210', {}, '+919876543210'],
+    ['0091 98765 43210', {}, '+919876543210'],
+    ['919876543210@c.us', { international: true }, '+919876543210'],
+    ['098765-43210', { international: true }, '+919876543210'],
+    ['447911123456@c.us', { international: true }, '+447911123456'],
+    ['14155552671', { international: true }, '+14155552671'],
+    ['+44 7911 123456', {}, '+447911123456'],
+    ['00447911123456', {}, '+447911123456'],
+    ['+91 80501 23456', {}, '+918050123456'],
+    ['4155552671', { countryCode: '1' }, '+14155552671']
+];
+
+const invalid = [
+    ['+91 80 2222 3333', {}, 'Bangalore landline'],
+    ['080 2222 3333', {}, 'Bangalore landline, national'],
+    ['079 2658 1234', {}, 'Ahmedabad landline'],
+    ['011 2345 6789', {}, 'Delhi landline'],
+    ['5876543210', {}, 'not a mobile range'],
+    ['12345', {}, 'too short'],
+    ['+1234567890123456', {}, 'too long'],
+    ['98765abc10', {}, 'letters'],
+    ['', {}, 'empty'],
+    [null, {}, 'null']
+];
+
+console.log('📞 Valid numbers');
+cases.forEach(([input, options, expected]) => {
+    test(`${JSON.stringify(input)}${options.international ? ' (international)' : ''} → ${expected}`, () => {
+        assert.strictEqual(phoneUtils.normalize(input, options), expected);
+    });
+});
+
+console.log('\n🚫 Rejected numbers');
+invalid.forEach(([input, options, reason]) => {
+    test(`${JSON.stringify(input)} (${reason})`, () => {
+        assert.strictEqual(phoneUtils.normalize(input, options), null);
+        assert.strictEqual(phoneUtils.isValid(input, options), false);
+    });
+});
+
+console.log('\n🔧 Helpers');
+test('toDigits drops the +', () => {
+    assert.strictEqual(phoneUtils.toDigits('098765 43210'), '919876543210');
+});
+test('setter keeps what it cannot normalize for the validator', () => {
+    assert.strictEqual(phoneUtils.setter('98765 43210'), '+919876543210');
+    assert.strictEqual(phoneUtils.setter('abc'), 'abc');
+    assert.strictEqual(phoneUtils.setter(''), '');
+});
+
+console.log(`\n${failed ? '❌' : '✅'} ${passed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
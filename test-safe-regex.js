@@ -0,0 +1,70 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * SAFE REGEX TEST
+ * Checks which auto-reply patterns utils/safeRegex.js lets through.
+ * ═══════════════════════════════════════════════════════════════
+ */
+
+const assert = require('assert');
+const safeRegex = require('./utils/safeRegex');
+
+console.log('🔍 Running Safe Regex Tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`   ✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+        failed++;
+    }
+}
+
+const allowed = [
+    'price|cost',
+    'order\\s*#?\\d+',
+    '(hello|hi) there',
+    '(ab)+',
+    '(?:ab)+',
+    '(?<word>ab)+',
+    '(a+)?',
+    'a+?b',
+    '[(a+)+]',
+    '\\(a+\\)+'
+];
+
+const refused = [
+    ['(a+)+$', 'nested quantifier'],
+    ['(?:a+)+', 'nested quantifier, non-capturing'],
+    ['(\\w+\\s?)*$', 'nested quantifier in a word list'],
+    ['(a|aa)*', 'repeated alternation'],
+    ['((ab)*c)+', 'quantifier in an inner group'],
+    ['(a*){2,}', 'counted repeat'],
+    ['(a)\\1', 'backreference'],
+    ['(?<x>a)\\k<x>', 'named backreference'],
+    ['(', 'invalid'],
+    ['', 'empty'],
+    ['a'.repeat(safeRegex.MAX_LENGTH + 1), 'too long']
+];
+
+console.log('✅ Allowed patterns');
+allowed.forEach(pattern => {
+    test(JSON.stringify(pattern), () => {
+        assert.strictEqual(safeRegex.check(pattern), null);
+    });
+});
+
+console.log('\n🚫 Refused patterns');
+refused.forEach(([pattern, reason]) => {
+    test(`${JSON.stringify(pattern.slice(0, 30))} (${reason})`, () => {
+        assert.strictEqual(typeof safeRegex.check(pattern), 'string');
+        assert.strictEqual(safeRegex.isSafe(pattern), false);
+    });
+});
+
+console.log(`\n${failed ? '❌' : '✅'} ${passed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
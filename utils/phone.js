@@ -0,0 +1,79 @@
+/**
+ * Phone number normalization
+ * Every stored number is E.164 ("+919876543210"). Input may contain spaces,
+ * dashes, dots or brackets, a trunk 0 ("09876543210"), or 91 / 0091 / +91
+ * in front. Numbers without a country code get DEFAULT_COUNTRY_CODE (India).
+ *
+ * Indian numbers must be in the mobile ranges (10 digits starting with 6-9),
+ * however they were written, since landlines can't be on WhatsApp.
+ *
+ * Numbers that come from WhatsApp itself (JIDs, "919876543210@c.us") always
+ * include the country code, pass { international: true } for those so a
+ * short foreign number isn't read as an Indian one. A trunk 0 still marks
+ * a national number there ("098765 43210").
+ */
+
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '91').replace(/[^0-9]/g, '');
+const INDIA = '91';
+const INDIAN_MOBILE = /^[6-9]\d{9}$/;
+// Ahmedabad (79) and Bangalore (80) landlines fit the mobile range; level 2 after the area code is never a mobile series
+const INDIAN_METRO_LANDLINE = /^(79|80)2/;
+
+// E.164 string, or null when the input can't be a valid number
+function normalize(input, options = {}) {
+    if (input === null || input === undefined) return null;
+
+    const raw = String(input).trim().replace(/@.*$/, '');
+    if (!raw || !/^\+?[\d\s\-().]+$/.test(raw)) return null;
+
+    let digits = raw.replace(/[^0-9]/g, '');
+    let international = raw.startsWith('+') || !!options.international;
+
+    // Without a "+", 00 is the international prefix and a single 0 the trunk prefix of a
+    // national number, even from sources that are otherwise international
+    if (!raw.startsWith('+') && digits.startsWith('0')) {
+        international = digits.startsWith('00');
+        digits = digits.slice(international ? 2 : 1);
+    }
+
+    if (!international) {
+        digits = digits.replace(/^0+/, '');
+
+        // Up to 10 digits is a national number; 12 digits starting with 91 already has it
+        if (digits.length <= 10) {
+            digits = (options.countryCode || DEFAULT_COUNTRY_CODE) + digits;
+        }
+    }
+
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+    if (digits.startsWith(INDIA)) {
+        const national = digits.slice(INDIA.length);
+        if (!INDIAN_MOBILE.test(national) || INDIAN_METRO_LANDLINE.test(national)) return null;
+    }
+
+    return `+${digits}`;
+}
+
+function isValid(input, options = {}) {
+    return normalize(input, options) !== null;
+}
+
+// Digits only ("919876543210"), the form WhatsApp uses in chat IDs
+function toDigits(input, options = {}) {
+    const number = normalize(input, options);
+    return number ? number.slice(1) : null;
+}
+
+// Mongoose setter: normalizes what it can and keeps the rest so the validator can report it
+function setter(value) {
+    if (value === null || value === undefined || value === '') return value;
+    return normalize(value) || value;
+}
+
+// Mongoose validator for optional phone fields (pair with `required` where needed)
+const validator = {
+    validator: value => value === null || value === undefined || value === '' || isValid(value),
+    message: props => `${props.value} is not a valid phone number`
+};
+
+module.exports = { DEFAULT_COUNTRY_CODE, normalize, isValid, toDigits, setter, validator };
@@ -0,0 +1,90 @@
+/**
+ * Safe user regular expressions
+ * Auto-reply rules run user patterns against every inbound message on the
+ * one event loop, so a pattern that backtracks catastrophically would stall
+ * the whole server. check() refuses the shapes that can: quantified groups
+ * that contain a quantifier or an alternation ("(a+)+", "(a|aa)*") and
+ * backreferences. Patterns are also limited to MAX_LENGTH characters.
+ */
+
+const MAX_LENGTH = 200;
+
+// Quantifier starting at pattern[i], as its length (0 when there is none)
+function quantifierAt(pattern, i) {
+    const char = pattern[i];
+    if (char === '*' || char === '+' || char === '?') return 1;
+    if (char !== '{') return 0;
+
+    const match = /^\{\d+(,\d*)?\}/.exec(pattern.slice(i));
+    return match ? match[0].length : 0;
+}
+
+// Problem with a pattern as a message, or null when it is safe to run
+function check(pattern) {
+    if (typeof pattern !== 'string' || !pattern) return 'Pattern is required';
+    if (pattern.length > MAX_LENGTH) return `Pattern can be at most ${MAX_LENGTH} characters`;
+
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        return 'Invalid regular expression';
+    }
+
+    // Each open group remembers whether it holds a quantifier or an alternation
+    const groups = [{ quantified: false, alternation: false }];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'Backreferences are not allowed';
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+        if (char === '[') {
+            inClass = true;
+            continue;
+        }
+
+        const current = groups[groups.length - 1];
+        if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+            // Skip the "?:", "?=", "?!", "?<=", "?<!" or "?<name>" that opens a special group
+            const prefix = /^\?(<[^>]*>|<[=!]|[:=!])/.exec(pattern.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')') {
+            const group = groups.pop();
+            const length = quantifierAt(pattern, i + 1);
+            // "?" only makes a group optional, it can't repeat it
+            const repeats = length && pattern[i + 1] !== '?';
+            if (repeats && (group.quantified || group.alternation)) {
+                return 'Repeated groups may not contain quantifiers or alternatives';
+            }
+            const parent = groups[groups.length - 1];
+            parent.quantified = parent.quantified || group.quantified || !!length;
+            parent.alternation = parent.alternation || group.alternation;
+            i += length;
+        } else if (char === '|') {
+            current.alternation = true;
+        } else {
+            const length = quantifierAt(pattern, i);
+            if (length) {
+                current.quantified = true;
+                i += length - 1;
+            }
+        }
+    }
+
+    return null;
+}
+
+function isSafe(pattern) {
+    return check(pattern) === null;
+}
+
+module.exports = { MAX_LENGTH, check, isSafe };
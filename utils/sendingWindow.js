@@ -0,0 +1,145 @@
+/**
+ * Sending windows
+ * A window is { days, start, end, timezone }: the weekdays messages may go
+ * out on (0 = Sunday) and the local "HH:mm" time range on those days. The
+ * rest of the week is quiet hours.
+ *
+ * Users keep a default window (whatsapp.sendingWindow) and a campaign can
+ * override any part of it (Campaign.sendingWindow). Parts set nowhere come
+ * from DEFAULT_WINDOW: every day, 09:00-21:00 in DEFAULT_TIMEZONE (IST).
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+const DEFAULT_WINDOW = { days: [0, 1, 2, 3, 4, 5, 6], start: '09:00', end: '21:00', timezone: DEFAULT_TIMEZONE };
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Problem with a (partial) window as a message, or null
+function check(window = {}) {
+    if (window.days != null && (!Array.isArray(window.days) || !window.days.length ||
+        window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        return 'Days must be a non-empty list of weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (window.start != null && !TIME.test(window.start)) return 'Start must be a time as HH:mm';
+    if (window.end != null && !TIME.test(window.end)) return 'End must be a time as HH:mm';
+    if (window.timezone != null && !isTimezone(window.timezone)) return `Unknown timezone ${window.timezone}`;
+    if (window.start && window.end && window.start >= window.end) return 'Start must be before end';
+    return null;
+}
+
+// Combine windows, later ones override the parts they set. Overrides can leave start after end
+// (e.g. a campaign that only sets start), so check the result with checkResolved() before saving
+function resolve(...windows) {
+    const resolved = { ...DEFAULT_WINDOW };
+    windows.forEach(window => {
+        ['days', 'start', 'end', 'timezone'].forEach(key => {
+            const value = window?.[key];
+            if (value != null && !(Array.isArray(value) && !value.length)) {
+                resolved[key] = Array.isArray(value) ? [...value] : value;
+            }
+        });
+    });
+    return resolved;
+}
+
+// Problem with the window the combined `windows` give, or null
+function checkResolved(...windows) {
+    const resolved = resolve(...windows);
+    if (resolved.start >= resolved.end) {
+        return `Sending window would start at ${resolved.start} and end at ${resolved.end}, start must be before end`;
+    }
+    return check(resolved);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Wall clock of `date` in `timezone`
+function localTime(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        date: Number(parts.day),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        seconds: Number(parts.second)
+    };
+}
+
+// The instant `days` local days after `date`, `minutes` past local midnight
+function atLocalTime(date, days, minutes, timezone) {
+    const local = localTime(date, timezone);
+    const wall = Date.UTC(local.year, local.month - 1, local.date + days, 0, minutes);
+
+    // Offset of the zone at that wall time (wall clock read as UTC minus the real instant)
+    const probe = localTime(new Date(wall), timezone);
+    const offset = Date.UTC(probe.year, probe.month - 1, probe.date, 0, probe.minutes, probe.seconds) - wall;
+    return new Date(wall - offset);
+}
+
+function isOpen(window, date = new Date()) {
+    const local = localTime(date, window.timezone);
+    return window.days.includes(local.weekday) &&
+        local.minutes >= toMinutes(window.start) &&
+        local.minutes < toMinutes(window.end);
+}
+
+// When the window is next open: `date` itself if it is open now
+function nextOpen(window, date = new Date()) {
+    if (isOpen(window, date)) return date;
+
+    for (let days = 0; days <= 7; days++) {
+        const opens = atLocalTime(date, days, toMinutes(window.start), window.timezone);
+        if (opens > date && window.days.includes(localTime(opens, window.timezone).weekday)) {
+            return opens;
+        }
+    }
+    return null;
+}
+
+// Local midnight `days` days after `date`
+function startOfDay(date, days, timezone) {
+    return atLocalTime(date, days, 0, timezone);
+}
+
+// YYYY-MM-DD of `date` in `timezone`
+function toDateString(date, timezone) {
+    return date.toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DEFAULT_WINDOW,
+    check,
+    checkResolved,
+    resolve,
+    isOpen,
+    nextOpen,
+    startOfDay,
+    toDateString
+};